@@ -0,0 +1,517 @@
+#!/usr/bin/env node
+/**
+ * Command-line front end for the cleaning core.
+ *
+ *   scrub-svg icon.svg                 clean one file to stdout
+ *   scrub-svg icons/ -o out/           clean a folder, keeping relative paths
+ *   scrub-svg "icons/**\/*.svg" -o out/  clean files matching a glob
+ *   cat icon.svg | scrub-svg > out.svg  clean stdin to stdout
+ *   scrub-svg --enable sanitize up.svg  also strip scripts and external loads
+ *   scrub-svg icons/ --sprite icons.svg   build a sprite sheet (and icons.html)
+ *   scrub-svg -c presets.json -p Icons in/ -o out/  use a preset exported from the app
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { cleanSVGWithReport, plugins } = require('../core/cleaner');
+const { buildSprite, buildPreviewPage } = require('../core/sprite');
+const { BUILTIN_PRESETS, findPreset, mergePresets, importPresets } = require('../core/presets');
+const { OUTPUT_STEP } = require('../core/stats');
+const { compressedSizes } = require('../core/compress');
+const { extractRasters } = require('../core/rasters');
+const { mergePalettes } = require('../core/colors');
+const { outputPath, uniquePaths } = require('../core/batch');
+
+const USAGE = `Usage: scrub-svg [options] [input...]
+
+Inputs can be files, directories (searched recursively for .svg files) or
+glob patterns such as "icons/**/*.svg". Use "-" or no input to read stdin.
+
+Options:
+  -o, --output <path>    Output file, or directory when cleaning several files
+  -c, --config <file>    JSON options file, same shape as cleanSVG(content, options),
+                         or a presets file exported from the web app
+  -p, --preset <name>    Use a preset from the --config presets file or a
+                         built-in one (${BUILTIN_PRESETS.map(preset => `"${preset.name}"`).join(', ')})
+  -s, --sprite <file>    Also combine the cleaned files into one sprite sheet,
+                         with a preview page next to it (<file> as .html)
+      --pretty           Pretty-print the output, one element per line
+      --indent <n|tab>   Indentation when pretty-printing (default 2)
+      --wrap-attributes <auto|always|never>
+                         Put attributes on their own lines (default auto:
+                         only tags longer than 80 columns)
+      --sort-attributes <source|canonical|alphabetical>
+                         Attribute order (default source)
+      --single-quotes    Quote attribute values with '
+      --no-xml-declaration
+                         Leave out <?xml ...?>, e.g. for SVG inlined in HTML
+      --changes          Print every change, tagged with the pass that made it
+      --stats            Print the bytes, elements and attributes each pass removed
+      --palette          Print the colours each file uses and, for several
+                         files, the palette across all of them
+      --extract-images   Move embedded PNG/JPEG/GIF/WebP images into files next
+                         to each output file (needs -o)
+      --enable <name>    Enable a plugin (repeatable)
+      --disable <name>   Disable a plugin (repeatable)
+      --list-plugins     List the available plugins and exit
+  -q, --quiet            Do not print the per-file summary
+  -h, --help             Show this help
+`;
+
+function parseArgs(argv) {
+    const args = { inputs: [], output: null, config: null, preset: null, sprite: null, format: {}, enable: [], disable: [], quiet: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '-o':
+            case '--output':
+                args.output = next();
+                break;
+            case '-c':
+            case '--config':
+                args.config = next();
+                break;
+            case '-p':
+            case '--preset':
+                args.preset = next();
+                break;
+            case '-s':
+            case '--sprite':
+                args.sprite = next();
+                break;
+            case '--pretty':
+                args.format.pretty = true;
+                break;
+            case '--indent':
+                args.format.indent = next();
+                break;
+            case '--wrap-attributes':
+                args.format.wrapAttributes = next();
+                break;
+            case '--sort-attributes':
+                args.format.attributeOrder = next();
+                break;
+            case '--single-quotes':
+                args.format.quote = "'";
+                break;
+            case '--no-xml-declaration':
+                args.format.xmlDeclaration = false;
+                break;
+            case '--changes':
+                args.changes = true;
+                break;
+            case '--stats':
+                args.stats = true;
+                break;
+            case '--palette':
+                args.palette = true;
+                break;
+            case '--extract-images':
+                args.extractImages = true;
+                break;
+            case '--enable':
+                args.enable.push(next());
+                break;
+            case '--disable':
+                args.disable.push(next());
+                break;
+            case '--list-plugins':
+                args.listPlugins = true;
+                break;
+            case '-q':
+            case '--quiet':
+                args.quiet = true;
+                break;
+            case '-h':
+            case '--help':
+                args.help = true;
+                break;
+            default:
+                if (arg.startsWith('-') && arg !== '-') {
+                    throw new Error(`Unknown option ${arg}`);
+                }
+                args.inputs.push(arg);
+        }
+    }
+
+    return args;
+}
+
+function readConfig(args) {
+    // The config file holds either cleanSVG options or exported presets, of
+    // which --preset picks one (built-in presets need no file). Returns
+    // { options, namePattern }; namePattern is the preset's, or null.
+    const text = args.config ? fs.readFileSync(args.config, 'utf8') : null;
+    const config = text ? JSON.parse(text) : {};
+    const isPresetFile = Array.isArray(config.presets);
+
+    if (!args.preset) {
+        if (isPresetFile) {
+            throw new Error(`${args.config} is a presets file; choose one with --preset`);
+        }
+        return { options: config, namePattern: null };
+    }
+    if (text && !isPresetFile) {
+        throw new Error(`--preset needs a presets file, but ${args.config} holds plain options`);
+    }
+
+    const available = mergePresets(BUILTIN_PRESETS, text ? importPresets(text) : []);
+    const preset = findPreset(available, args.preset);
+    if (!preset) {
+        throw new Error(`Unknown preset "${args.preset}" (available: ${available.map(p => `"${p.name}"`).join(', ')})`);
+    }
+    return { options: JSON.parse(JSON.stringify(preset.options)), namePattern: preset.namePattern || null };
+}
+
+function buildOptions(args) {
+    // Returns { options, namePattern } as readConfig() does, with the
+    // command-line flags applied to the options
+    const { options, namePattern } = readConfig(args);
+    options.plugins = Object.assign({}, options.plugins);
+    options.output = Object.assign({}, options.output, args.format);
+    if (args.changes) {
+        options.trackChanges = true;
+    }
+    if (args.stats) {
+        options.passStats = true;
+    }
+    if (args.extractImages) {
+        options.rasters = Object.assign({}, options.rasters, { extract: true });
+    }
+
+    const choices = {
+        wrapAttributes: ['auto', 'always', 'never'],
+        attributeOrder: ['source', 'canonical', 'alphabetical']
+    };
+    Object.keys(choices).forEach(key => {
+        const value = options.output[key];
+        if (value !== undefined && !choices[key].includes(value)) {
+            throw new Error(`Invalid ${key} "${value}" (expected ${choices[key].join(', ')})`);
+        }
+    });
+
+    const known = plugins.map(plugin => plugin.name);
+    args.enable.concat(args.disable).forEach(name => {
+        if (!known.includes(name)) {
+            throw new Error(`Unknown plugin "${name}" (see --list-plugins)`);
+        }
+    });
+
+    args.enable.forEach(name => {
+        if (options.plugins[name] === undefined || options.plugins[name] === false) {
+            options.plugins[name] = true;
+        }
+    });
+    args.disable.forEach(name => {
+        options.plugins[name] = false;
+    });
+
+    return { options, namePattern };
+}
+
+function hasGlob(pattern) {
+    return /[*?[\]{}]/.test(pattern);
+}
+
+function globToRegExp(pattern) {
+    // Supports *, **, ?, [...] and {a,b}
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*') {
+            if (pattern[i + 1] === '*') {
+                // "**/" matches zero or more directories
+                if (pattern[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i += 1;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = pattern.indexOf(']', i);
+            source += end === -1 ? '\\[' : pattern.slice(i, end + 1);
+            i = end === -1 ? i : end;
+        } else if (char === '{') {
+            const end = pattern.indexOf('}', i);
+            if (end === -1) {
+                source += '\\{';
+            } else {
+                const alternatives = pattern.slice(i + 1, end).split(',');
+                source += '(?:' + alternatives.map(alt => alt.replace(/[.+^$()|\\]/g, '\\$&').replace(/\*/g, '[^/]*')).join('|') + ')';
+                i = end;
+            }
+        } else {
+            source += char.replace(/[.+^$()|\\]/g, '\\$&');
+        }
+    }
+    return new RegExp('^' + source + '$');
+}
+
+function walkDirectory(directory) {
+    const files = [];
+    fs.readdirSync(directory, { withFileTypes: true }).forEach(entry => {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...walkDirectory(fullPath));
+        } else if (entry.isFile()) {
+            files.push(fullPath);
+        }
+    });
+    return files.sort();
+}
+
+function toPosix(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+function expandInputs(inputs) {
+    // Resolve every input to { file, relative } where `relative` is the path
+    // used under the output directory
+    const entries = [];
+
+    inputs.forEach(input => {
+        if (hasGlob(input)) {
+            const segments = toPosix(input).split('/');
+            const firstGlob = segments.findIndex(hasGlob);
+            const base = segments.slice(0, firstGlob).join('/') || '.';
+            const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+
+            if (!fs.existsSync(base)) {
+                throw new Error(`No files match ${input}`);
+            }
+
+            const matches = walkDirectory(base)
+                .map(file => ({ file, relative: toPosix(path.relative(base, file)) }))
+                .filter(entry => matcher.test(entry.relative));
+
+            if (matches.length === 0) {
+                throw new Error(`No files match ${input}`);
+            }
+            entries.push(...matches);
+        } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+            walkDirectory(input)
+                .filter(file => file.toLowerCase().endsWith('.svg'))
+                .forEach(file => entries.push({ file, relative: toPosix(path.relative(input, file)) }));
+        } else {
+            entries.push({ file: input, relative: path.basename(input) });
+        }
+    });
+
+    return entries;
+}
+
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        process.stdin.on('data', chunk => chunks.push(chunk));
+        process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        process.stdin.on('error', reject);
+    });
+}
+
+function formatFileSize(bytes) {
+    if (bytes === 0) return '0 B';
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB'];
+    const i = Math.floor(Math.log(Math.abs(bytes)) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+}
+
+function formatSavings(original, cleaned) {
+    const savingsPercent = (((original - cleaned) / original) * 100).toFixed(1);
+    return `${formatFileSize(original)} -> ${formatFileSize(cleaned)} (${savingsPercent}% saved)`;
+}
+
+async function summarize(name, original, cleaned) {
+    // Raw, gzip and brotli sizes before and after
+    const [before, after] = await Promise.all([compressedSizes(original), compressedSizes(cleaned)]);
+    return `${name}: ${formatSavings(Buffer.byteLength(original), Buffer.byteLength(cleaned))}, ` +
+        `gzip ${formatSavings(before.gzip, after.gzip)}, brotli ${formatSavings(before.brotli, after.brotli)}`;
+}
+
+function printReport(name, report) {
+    // Plugin warnings, everything the sanitize plugin took out, the embedded
+    // images and, with --changes and --stats, the change log and what each
+    // pass saved
+    report.warnings.forEach(warning => {
+        process.stderr.write(`${name}: warning: ${warning}\n`);
+    });
+    (report.stats.sanitized || []).forEach(item => {
+        process.stderr.write(`${name}: sanitized ${item}\n`);
+    });
+    (report.stats.rasters ? report.stats.rasters.images : []).forEach(image => {
+        const size = image.width && image.height ? `${image.width}x${image.height} px` : 'unknown size';
+        const drawn = image.renderedWidth ? `, drawn at about ${image.renderedWidth}x${image.renderedHeight}` : '';
+        process.stderr.write(`${name}: embedded ${image.format} ${size}, ${formatFileSize(image.bytes)}${drawn}\n`);
+    });
+    (report.changes || []).forEach(change => {
+        process.stderr.write(`${name}: ${change.message}\n`);
+    });
+    (report.passes || []).forEach(pass => {
+        if (pass.bytesSaved === 0 && pass.elementsRemoved === 0 && pass.attributesRemoved === 0) return;
+        const label = pass.name === OUTPUT_STEP ? 'output formatting' : pass.name;
+        process.stderr.write(`${name}: ${label}: ${formatFileSize(pass.bytesSaved)} saved, ` +
+            `${pass.elementsRemoved} elements and ${pass.attributesRemoved} attributes removed\n`);
+    });
+}
+
+function printPalette(name, palette) {
+    // "#ff0000 x3 (2 files)": uses and, across a batch, how many files
+    const entries = palette.map(entry => `${entry.color} x${entry.count}` +
+        (entry.files ? ` (${entry.files} file${entry.files === 1 ? '' : 's'})` : ''));
+    process.stderr.write(`${name}: palette: ${entries.length ? entries.join(', ') : 'no colours'}\n`);
+}
+
+function writeOutput(target, cleaned, options) {
+    // Writes the cleaned file and, when extracting, its embedded images
+    // next to it. Returns the content written.
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    if (!options.rasters || !options.rasters.extract) {
+        fs.writeFileSync(target, cleaned);
+        return cleaned;
+    }
+
+    const extracted = extractRasters(cleaned, path.basename(target).replace(/\.svg$/i, ''));
+    extracted.files.forEach(image => fs.writeFileSync(path.join(path.dirname(target), image.name), image.bytes));
+    fs.writeFileSync(target, extracted.content);
+    return extracted.content;
+}
+
+async function main(argv) {
+    const args = parseArgs(argv);
+
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    if (args.listPlugins) {
+        plugins.forEach(plugin => {
+            const state = plugin.enabled === false ? 'off' : 'on ';
+            process.stdout.write(`${state} ${plugin.name.padEnd(24)} ${plugin.description}\n`);
+        });
+        return 0;
+    }
+
+    const { options, namePattern } = buildOptions(args);
+    if (options.rasters && options.rasters.extract && !args.output) {
+        throw new Error('--extract-images needs an output file or directory (-o)');
+    }
+    if (options.rasters && ((options.rasters.format && options.rasters.format !== 'keep') || options.rasters.downscale)) {
+        // Presets from the web app may ask for this; it needs a canvas
+        process.stderr.write('scrub-svg: re-encoding and downscaling embedded images only works in the web app; skipped\n');
+    }
+
+    // stdin -> stdout (or -o file)
+    if (args.inputs.length === 0 || (args.inputs.length === 1 && args.inputs[0] === '-')) {
+        const { content: cleaned, report } = cleanSVGWithReport(await readStdin(), options);
+        if (!args.quiet) {
+            printReport('stdin', report);
+        }
+        if (args.palette) {
+            printPalette('stdin', report.stats.palette || []);
+        }
+        if (args.output) {
+            writeOutput(args.output, cleaned, options);
+        } else {
+            process.stdout.write(cleaned);
+        }
+        return 0;
+    }
+
+    const entries = expandInputs(args.inputs);
+    const toDirectory = args.output && (entries.length > 1 || args.output.endsWith('/') ||
+        (fs.existsSync(args.output) && fs.statSync(args.output).isDirectory()));
+
+    if (!args.output && !args.sprite && entries.length > 1) {
+        throw new Error('Several inputs need an output directory (-o <dir>)');
+    }
+
+    // Paths under the output directory: the preset's name pattern applied,
+    // then numbered like the web app's ZIP ("home.svg", "home-2.svg") where
+    // two inputs would land on the same file, as a glob or folder is
+    // relative to its own base and can repeat another input's path
+    const outputs = uniquePaths(entries.map(entry => (namePattern ? outputPath(entry.relative, namePattern) : entry.relative)));
+
+    let failures = 0;
+    const spriteFiles = [];
+    const palettes = [];
+
+    for (const [index, entry] of entries.entries()) {
+        try {
+            const original = fs.readFileSync(entry.file, 'utf8');
+            const { content: cleaned, report } = cleanSVGWithReport(original, Object.assign({}, options, { fileName: entry.file }));
+            if (!args.quiet) {
+                printReport(entry.file, report);
+            }
+            if (args.palette) {
+                palettes.push(report.stats.palette || []);
+                printPalette(entry.file, report.stats.palette || []);
+            }
+
+            if (args.sprite) {
+                spriteFiles.push({ name: entry.relative, content: cleaned });
+                // With --sprite the individual files are only written when asked for
+                if (!args.output) continue;
+            }
+
+            if (!args.output) {
+                process.stdout.write(cleaned);
+                continue;
+            }
+
+            const target = toDirectory ? path.join(args.output, outputs[index]) : args.output;
+            const written = writeOutput(target, cleaned, options);
+
+            if (!args.quiet) {
+                process.stderr.write(await summarize(entry.file, original, written) + '\n');
+            }
+        } catch (error) {
+            failures++;
+            process.stderr.write(`${entry.file}: ${error.message}\n`);
+        }
+    }
+
+    if (args.palette && palettes.length > 1) {
+        printPalette(`${palettes.length} files`, mergePalettes(palettes));
+    }
+
+    if (args.sprite && spriteFiles.length > 0) {
+        const sprite = buildSprite(spriteFiles);
+        const previewPath = args.sprite.replace(/\.svg$/i, '') + '.html';
+        fs.mkdirSync(path.dirname(args.sprite), { recursive: true });
+        fs.writeFileSync(args.sprite, sprite.content);
+        fs.writeFileSync(previewPath, buildPreviewPage(sprite, path.basename(args.sprite)));
+
+        if (!args.quiet) {
+            process.stderr.write(`${args.sprite}: ${sprite.symbols.length} symbols (preview: ${previewPath})\n`);
+        }
+    }
+
+    return failures > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+    code => {
+        process.exitCode = code;
+    },
+    error => {
+        process.stderr.write(`scrub-svg: ${error.message}\n`);
+        process.exitCode = 2;
+    }
+);
@@ -0,0 +1,42 @@
+/**
+ * Web Worker that cleans files for worker-pool.js.
+ *
+ * Loads the core scripts in the same order as index.html, then posts
+ * { ready: true }. Each message is { content, options } for one file; the
+ * reply is { result } with cleanFile()'s result, or { error } with the
+ * message if cleaning failed.
+ */
+'use strict';
+
+importScripts(
+    'core/xml.js?v=1.0',
+    'core/numbers.js?v=1.0',
+    'core/path.js?v=1.0',
+    'core/transform.js?v=1.0',
+    'core/references.js?v=1.0',
+    'core/sanitize.js?v=1.0',
+    'core/whitespace.js?v=1.0',
+    'core/editors.js?v=1.0',
+    'core/rasters.js?v=1.0',
+    'core/bbox.js?v=1.0',
+    'core/colors.js?v=1.0',
+    'core/plugins.js?v=1.0',
+    'core/serializer.js?v=1.0',
+    'core/stats.js?v=1.0',
+    'core/compress.js?v=1.0',
+    'core/diff.js?v=1.0',
+    'core/cleaner.js?v=1.0',
+    'core/embed.js?v=1.0',
+    'worker-pool.js?v=1.0'
+);
+
+self.onmessage = async event => {
+    try {
+        const result = await ScrubSVG.workerPool.cleanFile(event.data.content, event.data.options);
+        self.postMessage({ result });
+    } catch (error) {
+        self.postMessage({ error: error.message });
+    }
+};
+
+self.postMessage({ ready: true });
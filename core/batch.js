@@ -0,0 +1,133 @@
+/**
+ * Output names and summary reports for batches of cleaned files.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./stats'), require('./colors'));
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.batch = factory(root.ScrubSVG.stats, root.ScrubSVG.colors);
+    }
+}(typeof self !== 'undefined' ? self : this, function (stats, colors) {
+    'use strict';
+
+    const DEFAULT_NAME_PATTERN = '[name]_cleaned.svg';
+
+    function outputPath(relativePath, pattern = DEFAULT_NAME_PATTERN) {
+        // Apply the file name pattern, keeping the folder part of the path.
+        // "[name]" is the file name without extension: "icons/home.svg" with
+        // "[name].min.svg" gives "icons/home.min.svg", and "[name].svg"
+        // overwrites in place.
+        const path = relativePath.replace(/\\/g, '/');
+        const slash = path.lastIndexOf('/');
+        const directory = slash === -1 ? '' : path.slice(0, slash + 1);
+        const name = path.slice(slash + 1).replace(/\.svg$/i, '');
+        return directory + (pattern || DEFAULT_NAME_PATTERN).replace(/\[name\]/g, name);
+    }
+
+    function uniquePaths(paths) {
+        // Number repeated paths ("a.svg", "a-2.svg") so nothing in a ZIP is overwritten
+        const seen = new Set();
+        return paths.map(path => {
+            let unique = path;
+            for (let n = 2; seen.has(unique.toLowerCase()); n++) {
+                unique = path.replace(/(\.[^./]*)?$/, `-${n}$1`);
+            }
+            seen.add(unique.toLowerCase());
+            return unique;
+        });
+    }
+
+    function csvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function compressedTotal(rows, column) {
+        // Null as soon as one file has no size for that format
+        return rows.some(row => row[column] === null)
+            ? null
+            : rows.reduce((sum, row) => sum + row[column], 0);
+    }
+
+    function buildReport(entries, settings) {
+        // entries: [{ file, output, originalSize, cleanedSize, compressed,
+        // passes, palette, warnings, error }], where compressed is { original,
+        // cleaned } each holding { gzip, brotli }, passes is the per-pass
+        // breakdown and palette the [{ color, count }] list of colours
+        // settings: { preset, namePattern, options } the batch was cleaned
+        // with, so the result can be reproduced. Returns { json, csv } strings
+        // with one row per file and batch totals.
+        const preset = settings && settings.preset ? settings.preset : null;
+        const rows = entries.map(entry => {
+            const savings = entry.error ? null : entry.originalSize - entry.cleanedSize;
+            const compressed = !entry.error && entry.compressed ? entry.compressed : null;
+            const size = (which, format) => (compressed && compressed[which][format] !== null ? compressed[which][format] : null);
+            return {
+                file: entry.file,
+                output: entry.error ? null : entry.output,
+                originalSize: entry.originalSize,
+                cleanedSize: entry.error ? null : entry.cleanedSize,
+                savings,
+                savingsPercent: savings === null || !entry.originalSize ? null : Number(((savings / entry.originalSize) * 100).toFixed(1)),
+                originalGzip: size('original', 'gzip'),
+                cleanedGzip: size('cleaned', 'gzip'),
+                originalBrotli: size('original', 'brotli'),
+                cleanedBrotli: size('cleaned', 'brotli'),
+                passes: entry.error ? null : entry.passes || null,
+                palette: entry.error ? null : entry.palette || [],
+                warnings: entry.warnings || [],
+                error: entry.error || null
+            };
+        });
+
+        const cleaned = rows.filter(row => !row.error);
+        const originalSize = cleaned.reduce((sum, row) => sum + row.originalSize, 0);
+        const cleanedSize = cleaned.reduce((sum, row) => sum + row.cleanedSize, 0);
+        const totals = {
+            files: rows.length,
+            failed: rows.length - cleaned.length,
+            originalSize,
+            cleanedSize,
+            savings: originalSize - cleanedSize,
+            savingsPercent: originalSize ? Number((((originalSize - cleanedSize) / originalSize) * 100).toFixed(1)) : 0,
+            originalGzip: compressedTotal(cleaned, 'originalGzip'),
+            cleanedGzip: compressedTotal(cleaned, 'cleanedGzip'),
+            originalBrotli: compressedTotal(cleaned, 'originalBrotli'),
+            cleanedBrotli: compressedTotal(cleaned, 'cleanedBrotli'),
+            passes: stats.sumPasses(cleaned.map(row => row.passes)),
+            palette: colors.mergePalettes(cleaned.map(row => row.palette))
+        };
+
+        // The per-pass breakdown is only in the JSON report; the CSV lists
+        // each file's colours, most used first
+        const columns = ['file', 'output', 'originalSize', 'cleanedSize', 'savings', 'savingsPercent',
+            'originalGzip', 'cleanedGzip', 'originalBrotli', 'cleanedBrotli', 'colors', 'warnings', 'error', 'preset'];
+        const field = (row, column) => {
+            if (column === 'warnings') return row.warnings.join('; ');
+            if (column === 'colors') return row.palette ? row.palette.map(entry => entry.color).join(' ') : null;
+            return column === 'preset' ? preset : row[column];
+        };
+        const csv = [columns.join(',')]
+            .concat(rows.map(row => columns
+                .map(column => csvField(field(row, column)))
+                .join(',')))
+            .join('\r\n') + '\r\n';
+
+        const report = settings
+            ? { settings: { preset, namePattern: settings.namePattern || null, options: settings.options || {} }, totals, files: rows }
+            : { totals, files: rows };
+
+        return {
+            json: JSON.stringify(report, null, 2) + '\n',
+            csv
+        };
+    }
+
+    return {
+        DEFAULT_NAME_PATTERN,
+        outputPath,
+        uniquePaths,
+        buildReport
+    };
+}));
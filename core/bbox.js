@@ -0,0 +1,415 @@
+/**
+ * Geometric bounding box of the visible content.
+ *
+ * Measures shapes, paths, images and <use> references exactly (curve and
+ * arc extrema included) in the root's user space, through every transform
+ * on the way. Strokes add half their width on each side; miter corners can
+ * stick out a little further. Text and other content whose size depends on
+ * the renderer is reported as unmeasured rather than guessed.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./xml'), require('./numbers'), require('./path'), require('./transform'));
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.bbox = factory(root.ScrubSVG.xml, root.ScrubSVG.numbers, root.ScrubSVG.path, root.ScrubSVG.transform);
+    }
+}(typeof self !== 'undefined' ? self : this, function (xml, numbers, path, transform) {
+    'use strict';
+
+    // Never drawn directly; <symbol> only through <use>
+    const NON_RENDERING = [
+        'defs', 'symbol', 'clipPath', 'mask', 'marker', 'pattern', 'linearGradient', 'radialGradient',
+        'filter', 'style', 'script', 'title', 'desc', 'metadata', 'font', 'font-face', 'cursor', 'view'
+    ];
+
+    const CONTAINERS = ['g', 'a'];
+
+    const SHAPES = ['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon'];
+
+    // Their size depends on fonts or on HTML layout
+    const UNMEASURABLE = ['text', 'foreignObject', 'video', 'iframe', 'canvas'];
+
+    function emptyBounds() {
+        return { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    }
+
+    function extend(bounds, x, y) {
+        bounds.minX = Math.min(bounds.minX, x);
+        bounds.minY = Math.min(bounds.minY, y);
+        bounds.maxX = Math.max(bounds.maxX, x);
+        bounds.maxY = Math.max(bounds.maxY, y);
+    }
+
+    function isEmpty(bounds) {
+        return bounds.minX > bounds.maxX;
+    }
+
+    function cubicExtrema(p0, p1, p2, p3) {
+        // Parameters in (0, 1) where one coordinate of a cubic Bézier turns
+        const a = -p0 + 3 * p1 - 3 * p2 + p3;
+        const b = 2 * (p0 - 2 * p1 + p2);
+        const c = p1 - p0;
+        const roots = [];
+        if (Math.abs(a) < 1e-12) {
+            if (Math.abs(b) > 1e-12) roots.push(-c / b);
+        } else {
+            const discriminant = b * b - 4 * a * c;
+            if (discriminant >= 0) {
+                const root = Math.sqrt(discriminant);
+                roots.push((-b + root) / (2 * a), (-b - root) / (2 * a));
+            }
+        }
+        return roots.filter(t => t > 0 && t < 1);
+    }
+
+    function cubicAt(p0, p1, p2, p3, t) {
+        const u = 1 - t;
+        return u * u * u * p0 + 3 * u * u * t * p1 + 3 * u * t * t * p2 + t * t * t * p3;
+    }
+
+    function extendCubic(bounds, x0, y0, values) {
+        // The end point plus the points where the curve turns in x or y
+        extend(bounds, values[4], values[5]);
+        cubicExtrema(x0, values[0], values[2], values[4])
+            .concat(cubicExtrema(y0, values[1], values[3], values[5]))
+            .forEach(t => extend(bounds, cubicAt(x0, values[0], values[2], values[4], t), cubicAt(y0, values[1], values[3], values[5], t)));
+    }
+
+    function arcCenter(x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) {
+        // Endpoint to centre parameterization (SVG 1.1 appendix F.6.5), with
+        // radii that are too small scaled up as browsers do
+        const phi = angle * Math.PI / 180;
+        const cos = Math.cos(phi);
+        const sin = Math.sin(phi);
+        const dx = (x1 - x2) / 2;
+        const dy = (y1 - y2) / 2;
+        const x = cos * dx + sin * dy;
+        const y = -sin * dx + cos * dy;
+
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        const lambda = (x * x) / (rx * rx) + (y * y) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        const numerator = rx * rx * ry * ry - rx * rx * y * y - ry * ry * x * x;
+        const denominator = rx * rx * y * y + ry * ry * x * x;
+        let factor = Math.sqrt(Math.max(0, numerator / denominator));
+        if (largeArc === sweep) factor = -factor;
+        const cx1 = factor * rx * y / ry;
+        const cy1 = -factor * ry * x / rx;
+
+        const vectorAngle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        const start = vectorAngle(1, 0, (x - cx1) / rx, (y - cy1) / ry);
+        let delta = vectorAngle((x - cx1) / rx, (y - cy1) / ry, (-x - cx1) / rx, (-y - cy1) / ry);
+        if (!sweep && delta > 0) delta -= 2 * Math.PI;
+        if (sweep && delta < 0) delta += 2 * Math.PI;
+
+        return {
+            cx: cos * cx1 - sin * cy1 + (x1 + x2) / 2,
+            cy: sin * cx1 + cos * cy1 + (y1 + y2) / 2,
+            rx,
+            ry,
+            phi,
+            start,
+            delta
+        };
+    }
+
+    function extendArc(bounds, x1, y1, values) {
+        const [rx, ry, angle, largeArc, sweep, x2, y2] = values;
+        extend(bounds, x2, y2);
+        // A zero radius makes the arc a straight line
+        if (rx === 0 || ry === 0 || (x1 === x2 && y1 === y2)) return;
+
+        const arc = arcCenter(x1, y1, rx, ry, angle, largeArc ? 1 : 0, sweep ? 1 : 0, x2, y2);
+        const cos = Math.cos(arc.phi);
+        const sin = Math.sin(arc.phi);
+        const pointAt = theta => [
+            arc.cx + arc.rx * cos * Math.cos(theta) - arc.ry * sin * Math.sin(theta),
+            arc.cy + arc.rx * sin * Math.cos(theta) + arc.ry * cos * Math.sin(theta)
+        ];
+
+        // The ellipse's extreme points in x and y, where the arc passes them
+        const thetaX = Math.atan2(-arc.ry * sin, arc.rx * cos);
+        const thetaY = Math.atan2(arc.ry * cos, arc.rx * sin);
+        [thetaX, thetaX + Math.PI, thetaY, thetaY + Math.PI].forEach(theta => {
+            let offset = (theta - arc.start) * Math.sign(arc.delta);
+            offset = ((offset % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+            if (offset <= Math.abs(arc.delta)) {
+                extend(bounds, ...pointAt(theta));
+            }
+        });
+    }
+
+    function pathBounds(segments) {
+        // { minX, minY, maxX, maxY } of path segments (as parsePath returns
+        // them), or null for a path with no points
+        const bounds = emptyBounds();
+        path.normalizeSegments(segments).forEach(segment => {
+            const { command, values, startX, startY } = segment;
+            // A moveto only counts once something is drawn from it
+            if (command !== 'M') extend(bounds, startX, startY);
+            switch (command) {
+                case 'M':
+                case 'Z':
+                    break;
+                case 'L':
+                    extend(bounds, values[0], values[1]);
+                    break;
+                case 'C':
+                    extendCubic(bounds, startX, startY, values);
+                    break;
+                case 'Q':
+                    // As the cubic with the same shape
+                    extendCubic(bounds, startX, startY, [
+                        startX + 2 / 3 * (values[0] - startX), startY + 2 / 3 * (values[1] - startY),
+                        values[2] + 2 / 3 * (values[0] - values[2]), values[3] + 2 / 3 * (values[1] - values[3]),
+                        values[2], values[3]
+                    ]);
+                    break;
+                case 'A':
+                    extendArc(bounds, startX, startY, values);
+                    break;
+            }
+        });
+        return isEmpty(bounds) ? null : bounds;
+    }
+
+    function property(element, name) {
+        // The style attribute wins over the presentation attribute
+        const style = element.getAttribute('style');
+        if (style) {
+            let value = null;
+            style.split(';').forEach(declaration => {
+                const index = declaration.indexOf(':');
+                if (index !== -1 && declaration.slice(0, index).trim() === name) {
+                    value = declaration.slice(index + 1).replace(/!important\s*$/, '').trim();
+                }
+            });
+            if (value !== null) return value;
+        }
+        return element.hasAttribute(name) ? element.getAttribute(name).trim() : null;
+    }
+
+    function inherited(element, name, state) {
+        // Content drawn through <use> inherits from the <use>, not from
+        // where it is defined
+        for (let node = element; node && node.nodeType === xml.ELEMENT_NODE; node = state.uses.get(node) || node.parentNode) {
+            const value = property(node, name);
+            if (value !== null && value !== 'inherit') return value;
+        }
+        return null;
+    }
+
+    function length(element, name) {
+        const value = numbers.parseNumber((element.getAttribute(name) || '0').trim().replace(/px$/, ''));
+        return value === null ? NaN : value;
+    }
+
+    function shapeSegments(element) {
+        // Absolute segments for a basic shape or path; null when its geometry
+        // is invalid (nothing is drawn) and undefined when it uses units
+        const point = (x, y) => ({ command: 'L', values: [x, y] });
+        switch (element.tagName) {
+            case 'path':
+                return path.parsePath(element.getAttribute('d') || '');
+            case 'rect': {
+                const [x, y, width, height] = ['x', 'y', 'width', 'height'].map(name => length(element, name));
+                if ([x, y, width, height].some(isNaN)) return undefined;
+                if (width <= 0 || height <= 0) return null;
+                return [{ command: 'M', values: [x, y] }, point(x + width, y), point(x + width, y + height), point(x, y + height), { command: 'Z', values: [] }];
+            }
+            case 'circle':
+            case 'ellipse': {
+                const cx = length(element, 'cx');
+                const cy = length(element, 'cy');
+                const rx = length(element, element.tagName === 'circle' ? 'r' : 'rx');
+                const ry = length(element, element.tagName === 'circle' ? 'r' : 'ry');
+                if ([cx, cy, rx, ry].some(isNaN)) return undefined;
+                if (rx <= 0 || ry <= 0) return null;
+                return [
+                    { command: 'M', values: [cx - rx, cy] },
+                    { command: 'A', values: [rx, ry, 0, 0, 1, cx + rx, cy] },
+                    { command: 'A', values: [rx, ry, 0, 0, 1, cx - rx, cy] },
+                    { command: 'Z', values: [] }
+                ];
+            }
+            case 'line': {
+                const [x1, y1, x2, y2] = ['x1', 'y1', 'x2', 'y2'].map(name => length(element, name));
+                if ([x1, y1, x2, y2].some(isNaN)) return undefined;
+                return [{ command: 'M', values: [x1, y1] }, point(x2, y2)];
+            }
+            case 'polyline':
+            case 'polygon': {
+                const values = (element.getAttribute('points') || '').trim().split(/[\s,]+/).filter(Boolean).map(Number);
+                if (values.some(isNaN)) return undefined;
+                const segments = [];
+                for (let i = 0; i + 1 < values.length; i += 2) {
+                    segments.push({ command: i === 0 ? 'M' : 'L', values: [values[i], values[i + 1]] });
+                }
+                return segments.length > 0 ? segments : null;
+            }
+            default:
+                return undefined;
+        }
+    }
+
+    function isHidden(element, state) {
+        // display is not inherited but hides the subtree; visibility is
+        // inherited and children can override it
+        if (property(element, 'display') === 'none') return true;
+        const visibility = inherited(element, 'visibility', state);
+        return visibility === 'hidden' || visibility === 'collapse';
+    }
+
+    function measureShape(element, matrix, state) {
+        const segments = shapeSegments(element);
+        if (segments === undefined) {
+            state.unmeasured.add(element.tagName);
+            return;
+        }
+        if (segments === null || isHidden(element, state)) return;
+
+        const fill = inherited(element, 'fill', state);
+        const stroke = inherited(element, 'stroke', state);
+        const filled = fill !== 'none' && element.tagName !== 'line';
+        const stroked = stroke !== null && stroke !== 'none';
+        if (!filled && !stroked) return;
+        if (['marker-start', 'marker-mid', 'marker-end', 'marker'].some(name => (inherited(element, name, state) || 'none') !== 'none')) {
+            state.unmeasured.add('marker');
+            return;
+        }
+
+        const bounds = pathBounds(path.transformPath(path.toAbsolute(segments), matrix));
+        if (!bounds) return;
+
+        if (stroked) {
+            const strokeWidth = numbers.parseNumber((inherited(element, 'stroke-width', state) || '1').replace(/px$/, ''));
+            if (strokeWidth === null) {
+                state.unmeasured.add('stroke-width');
+                return;
+            }
+            // A round pen of radius w/2 drawn through the matrix reaches
+            // w/2 * |row| along each axis; square caps reach further
+            const [a, b, c, d] = matrix;
+            const cap = inherited(element, 'stroke-linecap', state) === 'square' ? Math.SQRT2 : 1;
+            const half = Math.abs(strokeWidth) / 2 * cap;
+            bounds.minX -= half * Math.hypot(a, c);
+            bounds.maxX += half * Math.hypot(a, c);
+            bounds.minY -= half * Math.hypot(b, d);
+            bounds.maxY += half * Math.hypot(b, d);
+        }
+
+        extend(state.bounds, bounds.minX, bounds.minY);
+        extend(state.bounds, bounds.maxX, bounds.maxY);
+    }
+
+    function measureImage(element, matrix, state) {
+        const [x, y, width, height] = ['x', 'y', 'width', 'height'].map(name => length(element, name));
+        if ([x, y, width, height].some(isNaN) || !element.hasAttribute('width') || !element.hasAttribute('height')) {
+            // Without both sizes it is drawn at its intrinsic size
+            state.unmeasured.add('image');
+            return;
+        }
+        if (width <= 0 || height <= 0 || isHidden(element, state)) return;
+        [[x, y], [x + width, y], [x, y + height], [x + width, y + height]].forEach(([px, py]) => {
+            extend(state.bounds, ...path.transformPoint(matrix, px, py));
+        });
+    }
+
+    function measure(element, matrix, state) {
+        if (NON_RENDERING.includes(element.localName) || property(element, 'display') === 'none') return;
+
+        const own = element.hasAttribute('transform') ? transform.parseTransform(element.getAttribute('transform')) : transform.IDENTITY;
+        if (!own) {
+            state.unmeasured.add('transform');
+            return;
+        }
+        matrix = transform.multiply(matrix, own);
+
+        if (CONTAINERS.includes(element.localName)) {
+            element.children.forEach(child => measure(child, matrix, state));
+        } else if (element.localName === 'switch') {
+            // Only the first child the renderer supports is drawn; that is
+            // never one that needs an extension (Illustrator's <foreignObject>)
+            const chosen = element.children.find(child => !child.hasAttribute('requiredExtensions'));
+            if (chosen) measure(chosen, matrix, state);
+        } else if (element.localName === 'use') {
+            measureUse(element, matrix, state);
+        } else if (element.localName === 'image') {
+            measureImage(element, matrix, state);
+        } else if (SHAPES.includes(element.tagName)) {
+            measureShape(element, matrix, state);
+        } else if (UNMEASURABLE.includes(element.localName) || element.localName === 'svg') {
+            // Nested <svg> has its own viewport and clipping
+            state.unmeasured.add(element.localName);
+        }
+        // Anything else (animation, editor elements) draws nothing itself
+    }
+
+    function measureUse(element, matrix, state) {
+        const href = element.getAttribute('href') || element.getAttribute('xlink:href') || '';
+        const target = href.startsWith('#') ? state.ids.get(href.slice(1)) : null;
+        if (!target || state.uses.has(target)) {
+            // External, missing or circular references draw nothing we can see
+            if (!href.startsWith('#')) state.unmeasured.add('use');
+            return;
+        }
+
+        const x = length(element, 'x');
+        const y = length(element, 'y');
+        if (isNaN(x) || isNaN(y)) {
+            state.unmeasured.add('use');
+            return;
+        }
+        matrix = transform.multiply(matrix, [1, 0, 0, 1, x, y]);
+
+        // The referenced element is drawn as if it were a child of <use>
+        state.uses.set(target, element);
+        if (target.localName === 'symbol') {
+            // A symbol with a viewBox is scaled into the <use> box
+            if (target.hasAttribute('viewBox')) {
+                state.unmeasured.add('symbol');
+            } else {
+                target.children.forEach(child => measure(child, matrix, state));
+            }
+        } else {
+            measure(target, matrix, state);
+        }
+        state.uses.delete(target);
+    }
+
+    function contentBounds(svg) {
+        // { bounds, unmeasured }: bounds is { x, y, width, height } in the
+        // root's user space, or null when nothing visible is drawn.
+        // unmeasured lists the kinds of content that could not be measured
+        // (text, markers, nested viewports...); when it is not empty the
+        // bounds leave that content out.
+        const ids = new Map();
+        xml.descendants(svg).forEach(element => {
+            if (element.hasAttribute('id') && !ids.has(element.getAttribute('id'))) {
+                ids.set(element.getAttribute('id'), element);
+            }
+        });
+
+        const state = { bounds: emptyBounds(), unmeasured: new Set(), ids, uses: new Map() };
+        svg.children.forEach(child => measure(child, transform.IDENTITY, state));
+
+        const bounds = isEmpty(state.bounds) ? null : {
+            x: state.bounds.minX,
+            y: state.bounds.minY,
+            width: state.bounds.maxX - state.bounds.minX,
+            height: state.bounds.maxY - state.bounds.minY
+        };
+        return { bounds, unmeasured: Array.from(state.unmeasured) };
+    }
+
+    return {
+        pathBounds,
+        contentBounds
+    };
+}));
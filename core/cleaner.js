@@ -0,0 +1,183 @@
+/**
+ * Headless entry point: parses SVG markup, runs the enabled plugins and
+ * serializes the result. Has no dependency on the page, so it runs in the
+ * browser, in a worker and under Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./xml'), require('./numbers'), require('./plugins'), require('./serializer'), require('./diff'), require('./stats'));
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.cleaner = factory(root.ScrubSVG.xml, root.ScrubSVG.numbers, root.ScrubSVG.plugins, root.ScrubSVG.serializer, root.ScrubSVG.diff, root.ScrubSVG.stats);
+    }
+}(typeof self !== 'undefined' ? self : this, function (xml, numbers, pluginsModule, serializer, diff, stats) {
+    'use strict';
+
+    const plugins = pluginsModule.plugins;
+
+    function resolvePlugins(options = {}, precision) {
+        // Merge the user's plugin settings with the registered defaults.
+        // A plugin setting can be false (disabled), true (defaults) or an object of params.
+        // A global precision (decimal places) replaces every plugin's own
+        // `precision` so coordinates, viewBox and path data round the same way.
+        const settings = options.plugins || {};
+
+        return plugins
+            .filter(plugin => {
+                const setting = settings[plugin.name];
+                if (setting === undefined) {
+                    return plugin.enabled !== false;
+                }
+                return setting !== false;
+            })
+            .map(plugin => {
+                const setting = settings[plugin.name];
+                const params = Object.assign({}, plugin.params, typeof setting === 'object' && setting !== null ? setting : {});
+                if (precision !== undefined && 'precision' in plugin.params) {
+                    params.precision = precision;
+                }
+                return { name: plugin.name, fn: plugin.fn, params };
+            });
+    }
+
+    function parseSVG(svgContent) {
+        let doc;
+        try {
+            doc = xml.parseXML(svgContent);
+        } catch (error) {
+            throw new Error(`Invalid SVG file: ${error.message}`);
+        }
+
+        const svg = doc.documentElement;
+        if (!svg || svg.localName !== 'svg') {
+            throw new Error('No SVG element found');
+        }
+
+        return svg;
+    }
+
+    function resolvePrecision(svg, precision) {
+        // `precision` is a number of decimal places, or { significantDigits }
+        // relative to the largest viewBox dimension (4 significant digits on a
+        // 24-unit icon gives 2 decimals, on a 1000-unit map 1 decimal)
+        if (precision === undefined || precision === null) return undefined;
+        if (typeof precision === 'number') return Math.max(0, Math.round(precision));
+
+        const digits = precision.significantDigits;
+        if (typeof digits !== 'number') return undefined;
+
+        let size = null;
+        const viewBox = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(numbers.parseNumber);
+        if (viewBox.length === 4 && viewBox.every(value => value !== null)) {
+            size = Math.max(Math.abs(viewBox[2]), Math.abs(viewBox[3]));
+        } else {
+            const width = numbers.parseNumber((svg.getAttribute('width') || '').replace(/px$/, ''));
+            const height = numbers.parseNumber((svg.getAttribute('height') || '').replace(/px$/, ''));
+            if (width !== null && height !== null) {
+                size = Math.max(width, height);
+            }
+        }
+
+        if (!size) return Math.max(0, Math.round(digits) - 1);
+        const integerDigits = Math.floor(Math.log10(size)) + 1;
+        return Math.max(0, Math.round(digits) - integerDigits);
+    }
+
+    function cleanSVGWithReport(svgContent, options = {}) {
+        // Plugins can add warnings and statistics to the report as they run
+        const report = { warnings: [], stats: {} };
+        const svg = parseSVG(svgContent);
+        const namespaces = collectNamespaces(svg);
+        const precision = resolvePrecision(svg, options.precision);
+
+        const info = { fileName: options.fileName };
+
+        // With `trackChanges` the report also gets every structural change,
+        // tagged with the pass that made it (see diff.js)
+        const tracker = options.trackChanges ? diff.createTracker(svg) : null;
+        // With `passStats` it gets the bytes, elements and attributes each
+        // pass removed (see stats.js)
+        const passStats = options.passStats ? stats.createPassStats(svg, options.output) : null;
+
+        // Apply the enabled cleaning rules in registration order. `pluginLimit`
+        // stops after the first N of them (used to bisect visual differences)
+        resolvePlugins(options, precision).slice(0, options.pluginLimit).forEach(plugin => {
+            plugin.fn(svg, plugin.params, report, info);
+            if (tracker) tracker.record(plugin.name);
+            if (passStats) passStats.record(plugin.name);
+        });
+
+        declareMissingNamespaces(svg, namespaces);
+        if (tracker) {
+            tracker.record('namespace fix-up');
+            const result = tracker.result();
+            report.changes = result.changes;
+            report.diff = result.lines;
+        }
+
+        // `output` picks minified or pretty-printed markup (see serializer.js)
+        const content = serializer.serializeSVG(svg, options.output);
+        if (passStats) {
+            report.passes = passStats.result(stats.utf8Length(svgContent), stats.utf8Length(content));
+        }
+        return { content, report };
+    }
+
+    function cleanSVG(svgContent, options = {}) {
+        return cleanSVGWithReport(svgContent, options).content;
+    }
+
+    function collectNamespaces(svg) {
+        // Remember every prefix declared in the source so it can be re-declared
+        // if a plugin removes the declaration but leaves prefixed names behind
+        const namespaces = new Map();
+        [svg].concat(xml.descendants(svg)).forEach(element => {
+            element.attributes.forEach(attr => {
+                if (attr.name.startsWith('xmlns:') && !namespaces.has(attr.name.slice(6))) {
+                    namespaces.set(attr.name.slice(6), attr.value);
+                }
+            });
+        });
+        return namespaces;
+    }
+
+    function declareMissingNamespaces(element, namespaces, inScope = new Set()) {
+        // Same fix-up XMLSerializer performs: a prefix that is used but not
+        // declared on an ancestor is declared on the element that uses it
+        const scope = new Set(inScope);
+        element.attributes.forEach(attr => {
+            if (attr.name.startsWith('xmlns:')) {
+                scope.add(attr.name.slice(6));
+            }
+        });
+
+        const used = [element.tagName].concat(element.attributes.map(attr => attr.name))
+            .filter(name => name.includes(':'))
+            .map(name => name.slice(0, name.indexOf(':')))
+            .filter(prefix => prefix !== 'xml' && prefix !== 'xmlns');
+
+        used.forEach(prefix => {
+            if (!scope.has(prefix) && namespaces.has(prefix)) {
+                element.setAttribute(`xmlns:${prefix}`, namespaces.get(prefix));
+                scope.add(prefix);
+            }
+        });
+
+        element.children.forEach(child => declareMissingNamespaces(child, namespaces, scope));
+    }
+
+    function formatSVG(svgString, output) {
+        // Re-serialize existing markup with the given output options
+        return serializer.serializeSVG(parseSVG(svgString), output);
+    }
+
+    return {
+        plugins,
+        resolvePlugins,
+        resolvePrecision,
+        parseSVG,
+        cleanSVG,
+        cleanSVGWithReport,
+        formatSVG
+    };
+}));
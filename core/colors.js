@@ -0,0 +1,315 @@
+/**
+ * Colours used by a document.
+ *
+ * Reads fill and stroke from presentation attributes and inline styles, so
+ * callers can tell single-colour icons (which can be recoloured through
+ * currentColor or used as a CSS mask) from multi-colour artwork. Also parses
+ * CSS colour values, writes them in their shortest form and lists the palette
+ * of a file.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.colors = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Paints that are not a colour of their own
+    const NON_COLORS = ['none', 'currentcolor', 'transparent', 'inherit', 'context-fill', 'context-stroke'];
+
+    const PAINT_PROPERTIES = ['fill', 'stroke'];
+
+    // Properties (and presentation attributes) that take a colour
+    const COLOR_PROPERTIES = ['fill', 'stroke', 'stop-color', 'flood-color', 'lighting-color', 'color', 'solid-color'];
+
+    // CSS named colours, as "name rrggbb" pairs
+    const NAMED_COLORS = new Map(('aliceblue f0f8ff antiquewhite faebd7 aqua 00ffff aquamarine 7fffd4 azure f0ffff ' +
+        'beige f5f5dc bisque ffe4c4 black 000000 blanchedalmond ffebcd blue 0000ff blueviolet 8a2be2 brown a52a2a ' +
+        'burlywood deb887 cadetblue 5f9ea0 chartreuse 7fff00 chocolate d2691e coral ff7f50 cornflowerblue 6495ed ' +
+        'cornsilk fff8dc crimson dc143c cyan 00ffff darkblue 00008b darkcyan 008b8b darkgoldenrod b8860b ' +
+        'darkgray a9a9a9 darkgreen 006400 darkgrey a9a9a9 darkkhaki bdb76b darkmagenta 8b008b darkolivegreen 556b2f ' +
+        'darkorange ff8c00 darkorchid 9932cc darkred 8b0000 darksalmon e9967a darkseagreen 8fbc8f ' +
+        'darkslateblue 483d8b darkslategray 2f4f4f darkslategrey 2f4f4f darkturquoise 00ced1 darkviolet 9400d3 ' +
+        'deeppink ff1493 deepskyblue 00bfff dimgray 696969 dimgrey 696969 dodgerblue 1e90ff firebrick b22222 ' +
+        'floralwhite fffaf0 forestgreen 228b22 fuchsia ff00ff gainsboro dcdcdc ghostwhite f8f8ff gold ffd700 ' +
+        'goldenrod daa520 gray 808080 green 008000 greenyellow adff2f grey 808080 honeydew f0fff0 hotpink ff69b4 ' +
+        'indianred cd5c5c indigo 4b0082 ivory fffff0 khaki f0e68c lavender e6e6fa lavenderblush fff0f5 ' +
+        'lawngreen 7cfc00 lemonchiffon fffacd lightblue add8e6 lightcoral f08080 lightcyan e0ffff ' +
+        'lightgoldenrodyellow fafad2 lightgray d3d3d3 lightgreen 90ee90 lightgrey d3d3d3 lightpink ffb6c1 ' +
+        'lightsalmon ffa07a lightseagreen 20b2aa lightskyblue 87cefa lightslategray 778899 lightslategrey 778899 ' +
+        'lightsteelblue b0c4de lightyellow ffffe0 lime 00ff00 limegreen 32cd32 linen faf0e6 magenta ff00ff ' +
+        'maroon 800000 mediumaquamarine 66cdaa mediumblue 0000cd mediumorchid ba55d3 mediumpurple 9370db ' +
+        'mediumseagreen 3cb371 mediumslateblue 7b68ee mediumspringgreen 00fa9a mediumturquoise 48d1cc ' +
+        'mediumvioletred c71585 midnightblue 191970 mintcream f5fffa mistyrose ffe4e1 moccasin ffe4b5 ' +
+        'navajowhite ffdead navy 000080 oldlace fdf5e6 olive 808000 olivedrab 6b8e23 orange ffa500 ' +
+        'orangered ff4500 orchid da70d6 palegoldenrod eee8aa palegreen 98fb98 paleturquoise afeeee ' +
+        'palevioletred db7093 papayawhip ffefd5 peachpuff ffdab9 peru cd853f pink ffc0cb plum dda0dd ' +
+        'powderblue b0e0e6 purple 800080 rebeccapurple 663399 red ff0000 rosybrown bc8f8f royalblue 4169e1 ' +
+        'saddlebrown 8b4513 salmon fa8072 sandybrown f4a460 seagreen 2e8b57 seashell fff5ee sienna a0522d ' +
+        'silver c0c0c0 skyblue 87ceeb slateblue 6a5acd slategray 708090 slategrey 708090 snow fffafa ' +
+        'springgreen 00ff7f steelblue 4682b4 tan d2b48c teal 008080 thistle d8bfd8 tomato ff6347 ' +
+        'turquoise 40e0d0 violet ee82ee wheat f5deb3 white ffffff whitesmoke f5f5f5 yellow ffff00 ' +
+        'yellowgreen 9acd32').match(/\S+ \S+/g).map(pair => pair.split(' ')));
+
+    // The shortest name for each named hex value, where one is shorter than
+    // the hex itself ("red" for #f00, "navy" for #000080)
+    const SHORT_NAMES = new Map();
+    NAMED_COLORS.forEach((hex, name) => {
+        const current = SHORT_NAMES.get(hex);
+        if (name.length < shortHex(`#${hex}`).length && (!current || name.length < current.length)) {
+            SHORT_NAMES.set(hex, name);
+        }
+    });
+
+    const NUMBER = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?%?$/;
+
+    // Animations whose from/to/by/values can hold colours
+    const ANIMATION_ELEMENTS = ['animate', 'set', 'animateColor'];
+
+    function parseStyle(style) {
+        // Split declarations on ";" outside parentheses, so data: URLs survive.
+        // Returns [property, value] pairs.
+        const declarations = [];
+        let depth = 0;
+        let start = 0;
+        for (let i = 0; i <= style.length; i++) {
+            const char = style[i];
+            if (char === '(') depth++;
+            if (char === ')') depth = Math.max(0, depth - 1);
+            if ((char === ';' && depth === 0) || i === style.length) {
+                const declaration = style.slice(start, i);
+                const colon = declaration.indexOf(':');
+                if (colon !== -1 && declaration.slice(0, colon).trim()) {
+                    declarations.push([declaration.slice(0, colon).trim(), declaration.slice(colon + 1).trim()]);
+                }
+                start = i + 1;
+            }
+        }
+        return declarations;
+    }
+
+    function isPaintColor(value) {
+        // A concrete colour, as opposed to none, currentColor or a url() paint server
+        if (!value) return false;
+        const paint = value.trim().toLowerCase();
+        return paint !== '' && !NON_COLORS.includes(paint) && !paint.startsWith('url(');
+    }
+
+    function paintColors(svg) {
+        // Distinct fill/stroke colours, lowercased
+        const colors = new Set();
+        [svg].concat(svg.querySelectorAll('*')).forEach(element => {
+            PAINT_PROPERTIES.forEach(name => {
+                const value = element.getAttribute(name);
+                if (isPaintColor(value)) colors.add(value.trim().toLowerCase());
+            });
+            parseStyle(element.getAttribute('style') || '').forEach(([property, value]) => {
+                if (PAINT_PROPERTIES.includes(property) && isPaintColor(value)) colors.add(value.toLowerCase());
+            });
+        });
+        return colors;
+    }
+
+    function shortHex(hex) {
+        // "#aabbcc" -> "#abc" and "#aabbccdd" -> "#abcd" where every pair repeats
+        return /^#(?:([0-9a-f])\1)+$/.test(hex) ? `#${hex.slice(1).replace(/(.)\1/g, '$1')}` : hex;
+    }
+
+    function parseArguments(text) {
+        // The arguments of rgb()/hsl(): legacy "a, b, c[, alpha]" or modern
+        // "a b c[ / alpha]". Null for anything else.
+        const parts = text.includes(',')
+            ? text.split(',').map(part => part.trim())
+            : (/^(\S+)\s+(\S+)\s+(\S+)(?:\s*\/\s*(\S+))?$/.exec(text.trim()) || []).slice(1).filter(part => part !== undefined);
+        if ((parts.length !== 3 && parts.length !== 4) || !parts.every(part => NUMBER.test(part))) return null;
+        return parts;
+    }
+
+    function parseAlpha(part) {
+        if (part === undefined) return 1;
+        const value = part.endsWith('%') ? parseFloat(part) / 100 : parseFloat(part);
+        return Math.min(1, Math.max(0, value));
+    }
+
+    function hslToRgb(hue, saturation, lightness) {
+        // Hue in degrees, saturation and lightness from 0 to 1
+        const h = ((hue % 360) + 360) % 360 / 30;
+        const chroma = saturation * Math.min(lightness, 1 - lightness);
+        const channel = n => {
+            const k = (n + h) % 12;
+            return (lightness - chroma * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255;
+        };
+        return [channel(0), channel(8), channel(4)];
+    }
+
+    function parseColor(value) {
+        // { r, g, b, a } with channels from 0 to 255 and alpha from 0 to 1, or
+        // null for anything that is not a plain colour (none, currentColor,
+        // url() paint servers, var(), system colours)
+        if (typeof value !== 'string') return null;
+        const text = value.trim().toLowerCase();
+
+        if (text === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+        if (NAMED_COLORS.has(text)) return parseColor(`#${NAMED_COLORS.get(text)}`);
+
+        if (text.startsWith('#')) {
+            if (!/^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(text)) return null;
+            const digits = text.length <= 5 ? text.slice(1).replace(/./g, '$&$&') : text.slice(1);
+            const bytes = digits.match(/../g).map(pair => parseInt(pair, 16));
+            return { r: bytes[0], g: bytes[1], b: bytes[2], a: bytes.length === 4 ? bytes[3] / 255 : 1 };
+        }
+
+        const match = /^(rgba?|hsla?)\(([^()]*)\)$/.exec(text);
+        const parts = match && parseArguments(match[2]);
+        if (!parts) return null;
+
+        const clamp = channel => Math.round(Math.min(255, Math.max(0, channel)));
+        if (match[1].startsWith('rgb')) {
+            const channels = parts.slice(0, 3);
+            // Legacy syntax cannot mix numbers and percentages
+            if (match[2].includes(',') && new Set(channels.map(part => part.endsWith('%'))).size > 1) return null;
+            const [r, g, b] = channels.map(part => clamp(part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part)));
+            return { r, g, b, a: parseAlpha(parts[3]) };
+        }
+
+        // hsl(): the hue is a plain number of degrees, saturation and
+        // lightness are percentages
+        if (parts[0].endsWith('%') || !parts[1].endsWith('%') || !parts[2].endsWith('%')) return null;
+        const percent = part => Math.min(1, Math.max(0, parseFloat(part) / 100));
+        const [r, g, b] = hslToRgb(parseFloat(parts[0]), percent(parts[1]), percent(parts[2])).map(clamp);
+        return { r, g, b, a: parseAlpha(parts[3]) };
+    }
+
+    function toHex(color) {
+        // "#rrggbb", or "#rrggbbaa" when the colour is not opaque
+        const byte = value => Math.round(value).toString(16).padStart(2, '0');
+        return `#${byte(color.r)}${byte(color.g)}${byte(color.b)}${color.a < 1 ? byte(color.a * 255) : ''}`;
+    }
+
+    function minifyColor(value, options = {}) {
+        // The shortest way to write a colour, lowercased: #rgb, #rrggbb or a
+        // name ("red" beats "#f00"; hex wins ties), with names left out when
+        // `names` is false. Translucent colours become rgba() where that is
+        // shorter; they are never turned into #rrggbbaa, which older
+        // renderers do not read. Values that are not colours come back as
+        // they are.
+        const color = parseColor(value);
+        if (!color) return value;
+
+        const hex = toHex(color);
+        const candidates = [];
+        if (color.a === 1) {
+            candidates.push(shortHex(hex));
+            if (options.names !== false && SHORT_NAMES.has(hex.slice(1))) candidates.push(SHORT_NAMES.get(hex.slice(1)));
+        } else {
+            const original = value.trim().toLowerCase();
+            if (original.startsWith('#')) candidates.push(shortHex(hex));
+            const alpha = String(Number(color.a.toFixed(3))).replace(/^0\./, '.');
+            candidates.push(`rgba(${color.r},${color.g},${color.b},${alpha})`, original);
+        }
+        return candidates.reduce((shortest, candidate) => (candidate.length < shortest.length ? candidate : shortest));
+    }
+
+    function rewriteValue(value, property, callback) {
+        // A url() paint can carry a fallback colour; !important and the
+        // surrounding whitespace are kept
+        const match = /^(\s*(?:url\([^)]*\)\s+)?)(.*?)(\s*(?:!important)?\s*)$/i.exec(value);
+        if (!match || !parseColor(match[2])) return value;
+        return match[1] + callback(match[2], property) + match[3];
+    }
+
+    function rewriteDeclarations(css, callback) {
+        // Colour declarations in a style attribute or a stylesheet. The
+        // property has to start a declaration, so "background-color" or a
+        // ":hover" selector is never mistaken for one.
+        const pattern = new RegExp(`(^|[;{\\s])(${COLOR_PROPERTIES.join('|')})(\\s*:)([^;}]*)`, 'gi');
+        return css.replace(pattern, (declaration, before, property, colon, value) =>
+            before + property + colon + rewriteValue(value, property.toLowerCase(), callback));
+    }
+
+    function visitColors(svg, callback) {
+        // Calls callback(color, property) for every colour in presentation
+        // attributes, style attributes, <style> sheets and colour animations,
+        // and writes back what it returns
+        [svg].concat(svg.querySelectorAll('*')).forEach(element => {
+            COLOR_PROPERTIES.forEach(name => {
+                if (!element.hasAttribute(name)) return;
+                const value = element.getAttribute(name);
+                const rewritten = rewriteValue(value, name, callback);
+                if (rewritten !== value) element.setAttribute(name, rewritten);
+            });
+
+            const style = element.getAttribute('style');
+            if (style) {
+                const rewritten = rewriteDeclarations(style, callback);
+                if (rewritten !== style) element.setAttribute('style', rewritten);
+            }
+
+            const animated = (element.getAttribute('attributeName') || '').toLowerCase();
+            if (ANIMATION_ELEMENTS.includes(element.tagName) && COLOR_PROPERTIES.includes(animated)) {
+                ['from', 'to', 'by', 'values'].forEach(name => {
+                    if (!element.hasAttribute(name)) return;
+                    const value = element.getAttribute(name);
+                    const rewritten = value.split(';').map(part => rewriteValue(part, animated, callback)).join(';');
+                    if (rewritten !== value) element.setAttribute(name, rewritten);
+                });
+            }
+        });
+
+        svg.querySelectorAll('style').forEach(style => {
+            const css = style.textContent;
+            const rewritten = rewriteDeclarations(css, callback);
+            if (rewritten !== css) style.textContent = rewritten;
+        });
+    }
+
+    function colorPalette(svg) {
+        // Distinct colours as [{ color, count }], most used first, each written
+        // as "#rrggbb" (or "#rrggbbaa") however the file spells it. Fully
+        // transparent colours are left out.
+        const counts = new Map();
+        visitColors(svg, value => {
+            const color = parseColor(value);
+            if (color.a > 0) {
+                const hex = toHex(color);
+                counts.set(hex, (counts.get(hex) || 0) + 1);
+            }
+            return value;
+        });
+        return Array.from(counts, ([color, count]) => ({ color, count }))
+            .sort((a, b) => b.count - a.count || a.color.localeCompare(b.color));
+    }
+
+    function mergePalettes(palettes) {
+        // Combines per-file palettes into [{ color, count, files }], where
+        // `files` is how many of them use the colour
+        const merged = new Map();
+        palettes.forEach(palette => {
+            (palette || []).forEach(({ color, count }) => {
+                const entry = merged.get(color) || { color, count: 0, files: 0 };
+                entry.count += count;
+                entry.files++;
+                merged.set(color, entry);
+            });
+        });
+        return Array.from(merged.values())
+            .sort((a, b) => b.files - a.files || b.count - a.count || a.color.localeCompare(b.color));
+    }
+
+    return {
+        PAINT_PROPERTIES,
+        COLOR_PROPERTIES,
+        parseStyle,
+        isPaintColor,
+        paintColors,
+        parseColor,
+        toHex,
+        minifyColor,
+        visitColors,
+        colorPalette,
+        mergePalettes
+    };
+}));
@@ -0,0 +1,290 @@
+/**
+ * Framework components from cleaned SVG markup.
+ *
+ * Renders the same tree as a React (JSX), Vue single-file or Svelte component.
+ * Each format gets its own attribute and text rules: React needs camelCase
+ * props and style objects, Vue and Svelte keep SVG attribute names but treat
+ * braces and <style> elements differently. The root element passes extra
+ * props through and can take `size` and `color` props.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./xml'), require('./colors'), require('./cleaner'));
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.components = factory(root.ScrubSVG.xml, root.ScrubSVG.colors, root.ScrubSVG.cleaner);
+    }
+}(typeof self !== 'undefined' ? self : this, function (xml, colors, cleaner) {
+    'use strict';
+
+    const FORMATS = {
+        react: { label: 'React', extension: '.jsx', typescriptExtension: '.tsx' },
+        vue: { label: 'Vue', extension: '.vue', typescriptExtension: '.vue' },
+        svelte: { label: 'Svelte', extension: '.svelte', typescriptExtension: '.svelte' }
+    };
+
+    const INDENT = '  ';
+
+    // React prop names that are not a plain camelCase of the attribute
+    const REACT_ATTRIBUTES = {
+        class: 'className',
+        tabindex: 'tabIndex',
+        'xlink:href': 'xlinkHref',
+        'xml:space': 'xmlSpace',
+        'xml:lang': 'xmlLang',
+        'xmlns:xlink': 'xmlnsXlink'
+    };
+
+    function componentName(fileName) {
+        // "icons/arrow-left.svg" -> "ArrowLeft"; names must start with a letter
+        const words = (fileName || '').replace(/^.*[\\/]/, '').replace(/\.svg$/i, '')
+            .split(/[^a-zA-Z0-9]+/)
+            .filter(Boolean);
+        const name = words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+        return /^[A-Z]/.test(name) ? name : `Svg${name || 'Icon'}`;
+    }
+
+    function fileExtension(format, typescript) {
+        return typescript ? FORMATS[format].typescriptExtension : FORMATS[format].extension;
+    }
+
+    function camelCase(name) {
+        return name.replace(/[-:]([a-z])/g, (match, letter) => letter.toUpperCase());
+    }
+
+    function jsString(value) {
+        return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+    }
+
+    function templateLiteral(value) {
+        return '`' + value.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${') + '`';
+    }
+
+    function reactStyleKey(property) {
+        // Custom properties stay as strings, vendor prefixes follow React's
+        // casing ("-webkit-mask" -> WebkitMask, "-ms-transform" -> msTransform)
+        if (property.startsWith('--')) return jsString(property);
+        const name = property.toLowerCase();
+        if (name.startsWith('-ms-')) return camelCase(name.slice(1));
+        if (name.startsWith('-')) {
+            const key = camelCase(name.slice(1));
+            return key[0].toUpperCase() + key.slice(1);
+        }
+        return camelCase(name);
+    }
+
+    function useCurrentColor(svg) {
+        // Let the `color` prop recolour single-colour icons: their one colour
+        // becomes currentColor, and icons painted with the default black get
+        // fill="currentColor" on the root. Multi-colour icons are left alone.
+        const used = colors.paintColors(svg);
+        if (used.size === 0) {
+            if (!svg.hasAttribute('fill')) svg.setAttribute('fill', 'currentColor');
+            return;
+        }
+        if (used.size > 1) return;
+
+        const [color] = used;
+        const isPaint = property => colors.PAINT_PROPERTIES.includes(property);
+        [svg].concat(svg.querySelectorAll('*')).forEach(element => {
+            colors.PAINT_PROPERTIES.forEach(name => {
+                const value = element.getAttribute(name);
+                if (value && value.trim().toLowerCase() === color) element.setAttribute(name, 'currentColor');
+            });
+            const style = element.getAttribute('style');
+            if (style) {
+                const declarations = colors.parseStyle(style).map(([property, value]) =>
+                    `${property}:${isPaint(property) && value.toLowerCase() === color ? 'currentColor' : value}`);
+                element.setAttribute('style', declarations.join(';'));
+            }
+        });
+    }
+
+    function renderAttributes(element, format) {
+        return element.attributes.map(attr => {
+            if (format === 'react') {
+                const isKept = /^(aria|data)-/.test(attr.name) || attr.name === 'xmlns';
+                const name = REACT_ATTRIBUTES[attr.name] || (isKept ? attr.name : camelCase(attr.name));
+                if (attr.name === 'style') {
+                    const entries = colors.parseStyle(attr.value).map(([property, value]) => `${reactStyleKey(property)}: ${jsString(value)}`);
+                    return `style={{ ${entries.join(', ')} }}`;
+                }
+                // JSX strings decode entities and cannot hold a double quote
+                return /["&]/.test(attr.value) ? `${name}={${jsString(attr.value)}}` : `${name}="${attr.value}"`;
+            }
+
+            const value = xml.escapeAttribute(attr.value);
+            return `${attr.name}="${format === 'svelte' ? escapeBraces(value) : value}"`;
+        });
+    }
+
+    function escapeBraces(value) {
+        return value.replace(/\{/g, '&#123;').replace(/\}/g, '&#125;');
+    }
+
+    function renderText(text, format) {
+        if (format === 'react') {
+            return /[{}<>&]/.test(text) ? `{${jsString(text)}}` : text;
+        }
+        const escaped = xml.escapeText(text);
+        if (format === 'vue') {
+            // "{{" would start an interpolation; Vue 2 decodes entities
+            // before looking for one, so it is written as an expression
+            return escaped.replace(/\{\{/g, "{{ '{{' }}");
+        }
+        return format === 'svelte' ? escapeBraces(escaped) : escaped;
+    }
+
+    function renderStyleElement(element, format, indent) {
+        // <style> is special in every framework: JSX would parse the braces,
+        // Vue drops it from templates and Svelte would scope it to the component
+        const attributes = renderAttributes(element, format).map(attr => ' ' + attr).join('');
+        const css = element.textContent;
+        if (format === 'react') {
+            return `${indent}<style${attributes}>{${templateLiteral(css)}}</style>`;
+        }
+        if (format === 'vue') {
+            return `${indent}<component is="style"${attributes}>${xml.escapeText(css)}</component>`;
+        }
+        const markup = `<style${element.attributes.map(attr => ` ${attr.name}="${xml.escapeAttribute(attr.value)}"`).join('')}>${css}</style>`;
+        return `${indent}{@html ${jsString(markup)}}`;
+    }
+
+    function renderNode(node, format, depth, rootAttributes, inline) {
+        // Inline nodes are written without line breaks or indentation
+        const indent = inline ? '' : INDENT.repeat(depth);
+
+        if (node.nodeType === 3 || node.nodeType === 4) {
+            return renderText(node.data, format);
+        }
+        if (node.nodeType !== 1) {
+            // Comments and processing instructions have no place in a component
+            return '';
+        }
+        if (node.tagName === 'style') {
+            return renderStyleElement(node, format, indent);
+        }
+
+        const attributes = renderAttributes(node, format).concat(rootAttributes || []);
+        const open = `<${node.tagName}${attributes.map(attr => ' ' + attr).join('')}`;
+        const children = node.childNodes.filter(child => child.nodeType !== 8 && child.nodeType !== 7);
+        if (children.length === 0) {
+            return `${indent}${open} />`;
+        }
+
+        // Elements holding text, and <text> with its tspans, are written on one
+        // line so no whitespace is added
+        const hasText = node.tagName === 'text' || children.some(child => (child.nodeType === 3 || child.nodeType === 4) && child.data.trim());
+        if (inline || hasText) {
+            const content = children.map(child => renderNode(child, format, 0, null, true)).join('');
+            return `${indent}${open}>${content}</${node.tagName}>`;
+        }
+
+        const lines = children
+            .filter(child => child.nodeType === 1)
+            .map(child => renderNode(child, format, depth + 1));
+        return `${indent}${open}>\n${lines.join('\n')}\n${indent}</${node.tagName}>`;
+    }
+
+    function rootBindings(format, options) {
+        // Attributes added to the root: size and colour props, then pass-through
+        // of everything else the caller sets (Vue falls through on its own)
+        const bindings = [];
+        if (options.sizeProp) {
+            bindings.push(...(format === 'vue' ? [':width="size"', ':height="size"'] : ['width={size}', 'height={size}']));
+        }
+        if (options.colorProp) {
+            bindings.push(format === 'vue' ? ':color="color"' : 'color={color}');
+        }
+        if (format === 'react') bindings.push('{...props}');
+        if (format === 'svelte') bindings.push('{...$$restProps}');
+        return bindings;
+    }
+
+    function reactComponent(markup, name, options) {
+        const props = [];
+        if (options.sizeProp) props.push("size = '1em'");
+        if (options.colorProp) props.push("color = 'currentColor'");
+        props.push('...props');
+
+        if (!options.typescript) {
+            return `export default function ${name}({ ${props.join(', ')} }) {\n  return (\n${markup}\n  );\n}\n`;
+        }
+
+        const fields = [];
+        if (options.sizeProp) fields.push('  size?: number | string;');
+        if (options.colorProp) fields.push('  color?: string;');
+        const type = fields.length > 0
+            ? `interface ${name}Props extends SVGProps<SVGSVGElement> {\n${fields.join('\n')}\n}`
+            : `type ${name}Props = SVGProps<SVGSVGElement>;`;
+        return `import type { SVGProps } from 'react';\n\n${type}\n\n` +
+            `export default function ${name}({ ${props.join(', ')} }: ${name}Props) {\n  return (\n${markup}\n  );\n}\n`;
+    }
+
+    function vueComponent(markup, options) {
+        const template = `<template>\n${markup}\n</template>\n`;
+        if (!options.sizeProp && !options.colorProp) return template;
+
+        if (options.typescript) {
+            const fields = [];
+            const defaults = [];
+            if (options.sizeProp) {
+                fields.push('size?: number | string');
+                defaults.push("size: '1em'");
+            }
+            if (options.colorProp) {
+                fields.push('color?: string');
+                defaults.push("color: 'currentColor'");
+            }
+            return `<script setup lang="ts">\nwithDefaults(defineProps<{ ${fields.join('; ')} }>(), { ${defaults.join(', ')} });\n</script>\n\n${template}`;
+        }
+
+        const props = [];
+        if (options.sizeProp) props.push("  size: { type: [Number, String], default: '1em' }");
+        if (options.colorProp) props.push("  color: { type: String, default: 'currentColor' }");
+        return `<script setup>\ndefineProps({\n${props.join(',\n')}\n});\n</script>\n\n${template}`;
+    }
+
+    function svelteComponent(markup, options) {
+        const props = [];
+        if (options.sizeProp) props.push(options.typescript ? "  export let size: number | string = '1em';" : "  export let size = '1em';");
+        if (options.colorProp) props.push("  export let color = 'currentColor';");
+        const script = props.length > 0 || options.typescript
+            ? `<script${options.typescript ? ' lang="ts"' : ''}>\n${props.join('\n')}\n</script>\n\n`
+            : '';
+        return `${script}${markup}\n`;
+    }
+
+    function toComponent(svgContent, format, options = {}) {
+        // options: { name, typescript, sizeProp, colorProp }
+        if (!FORMATS[format]) {
+            throw new Error(`Unknown component format "${format}"`);
+        }
+
+        const svg = cleaner.parseSVG(svgContent);
+        const name = options.name || componentName('');
+
+        if (options.sizeProp) {
+            svg.removeAttribute('width');
+            svg.removeAttribute('height');
+        }
+        if (options.colorProp) {
+            useCurrentColor(svg);
+        }
+
+        // React and Svelte markup sits inside the component body, so indent it
+        const depth = format === 'react' ? 2 : (format === 'vue' ? 1 : 0);
+        const markup = renderNode(svg, format, depth, rootBindings(format, options));
+
+        if (format === 'react') return reactComponent(markup, name, options);
+        if (format === 'vue') return vueComponent(markup, options);
+        return svelteComponent(markup, options);
+    }
+
+    return {
+        FORMATS,
+        componentName,
+        fileExtension,
+        toComponent
+    };
+}));
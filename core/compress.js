@@ -0,0 +1,58 @@
+/**
+ * Compressed sizes, computed locally.
+ *
+ * SVG is almost always served gzip- or brotli-compressed, and savings in raw
+ * bytes can shrink a lot once compressed. Under Node the sizes come from
+ * zlib (gzip at the default level, brotli at quality 11, as for precompressed
+ * static files); in the browser from CompressionStream. Browsers without
+ * brotli support report null for it.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('zlib'));
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.compress = factory(null);
+    }
+}(typeof self !== 'undefined' ? self : this, function (zlib) {
+    'use strict';
+
+    function supportsStream(format) {
+        // CompressionStream throws for formats it does not know
+        if (typeof CompressionStream !== 'function') return false;
+        try {
+            new CompressionStream(format);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async function streamSize(content, format) {
+        const stream = new Blob([content]).stream().pipeThrough(new CompressionStream(format));
+        const buffer = await new Response(stream).arrayBuffer();
+        return buffer.byteLength;
+    }
+
+    async function gzipSize(content) {
+        if (zlib) return zlib.gzipSync(content).length;
+        return supportsStream('gzip') ? streamSize(content, 'gzip') : null;
+    }
+
+    async function brotliSize(content) {
+        if (zlib && zlib.brotliCompressSync) return zlib.brotliCompressSync(content).length;
+        return supportsStream('brotli') ? streamSize(content, 'brotli') : null;
+    }
+
+    async function compressedSizes(content) {
+        // { gzip, brotli } in bytes; either is null where it is not available
+        const [gzip, brotli] = await Promise.all([gzipSize(content), brotliSize(content)]);
+        return { gzip, brotli };
+    }
+
+    return {
+        gzipSize,
+        brotliSize,
+        compressedSizes
+    };
+}));
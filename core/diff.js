@@ -0,0 +1,270 @@
+/**
+ * Structural changes made by the cleaning passes.
+ *
+ * The tracker snapshots every element (tag, attributes, text and parent)
+ * before the first pass and again after each one, so every difference between
+ * the original and the cleaned tree is tagged with the pass that made it.
+ * Passes edit the tree in place, so an element that survives is the same
+ * object throughout and can be followed by identity. The results are plain
+ * data: a change log and the lines of an annotated tree.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./xml'));
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.diff = factory(root.ScrubSVG.xml);
+    }
+}(typeof self !== 'undefined' ? self : this, function (xml) {
+    'use strict';
+
+    // Longest attribute value quoted in a message
+    const MAX_VALUE_LENGTH = 40;
+
+    function shorten(value) {
+        return value.length > MAX_VALUE_LENGTH ? value.slice(0, MAX_VALUE_LENGTH - 1) + '…' : value;
+    }
+
+    function ownText(element) {
+        // Whitespace between child elements is not content
+        const text = element.childNodes
+            .filter(node => node.nodeType === xml.TEXT_NODE || node.nodeType === xml.CDATA_SECTION_NODE)
+            .map(node => node.data)
+            .join('');
+        return text.trim() ? text : '';
+    }
+
+    function snapshot(svg) {
+        const elements = new Map();
+        [svg].concat(xml.descendants(svg)).forEach(element => {
+            elements.set(element, {
+                tagName: element.tagName,
+                attributes: new Map(element.attributes.map(attr => [attr.name, attr.value])),
+                parent: element.parentNode,
+                children: element.children.slice(),
+                text: ownText(element)
+            });
+        });
+        return elements;
+    }
+
+    function describe(state) {
+        // "<path id="a">": the tag plus whatever identifies it best
+        if (!state) return 'the document';
+        const name = ['id', 'class'].find(attribute => state.attributes.has(attribute));
+        return name ? `<${state.tagName} ${name}="${shorten(state.attributes.get(name))}">` : `<${state.tagName}>`;
+    }
+
+    function createTracker(svg) {
+        // Call record(passName) after each pass; result() gives
+        // { changes, lines } for the report
+        const initial = snapshot(svg);
+        let previous = initial;
+        const changes = [];
+        // Per element: the pass that added, removed or moved it, and the
+        // passes that touched each attribute and the text
+        const history = new Map();
+
+        const historyOf = element => {
+            if (!history.has(element)) {
+                history.set(element, { attributes: new Map(), text: [] });
+            }
+            return history.get(element);
+        };
+        const touch = (list, pass) => {
+            if (!list.includes(pass)) list.push(pass);
+        };
+
+        function record(pass) {
+            const current = snapshot(svg);
+
+            // Removed and added subtrees are reported once, at their top
+            const countInside = (states, element, isGone) => {
+                let count = 0;
+                const visit = children => children.forEach(child => {
+                    if (isGone(child)) {
+                        count++;
+                        visit(states.get(child).children);
+                    }
+                });
+                visit(states.get(element).children);
+                return count;
+            };
+
+            previous.forEach((state, element) => {
+                if (current.has(element)) return;
+                historyOf(element).removed = pass;
+                if (previous.has(state.parent) && !current.has(state.parent)) return;
+
+                const inside = countInside(previous, element, child => !current.has(child));
+                changes.push({
+                    pass,
+                    type: 'removed',
+                    element: describe(state),
+                    message: `${pass} removed ${describe(state)}` +
+                        (inside > 0 ? ` and ${inside} element${inside === 1 ? '' : 's'} inside it` : '')
+                });
+            });
+
+            current.forEach((state, element) => {
+                const before = previous.get(element);
+                const label = describe(state);
+
+                if (!before) {
+                    historyOf(element).added = pass;
+                    if (current.has(state.parent) && !previous.has(state.parent)) return;
+                    changes.push({ pass, type: 'added', element: label, message: `${pass} added ${label}` });
+                    return;
+                }
+
+                if (before.parent !== state.parent) {
+                    historyOf(element).moved = pass;
+                    const from = describe(previous.get(before.parent));
+                    const to = describe(current.get(state.parent));
+                    changes.push({ pass, type: 'moved', element: label, message: `${pass} moved ${label} from ${from} to ${to}` });
+                }
+
+                const names = new Set([...before.attributes.keys(), ...state.attributes.keys()]);
+                names.forEach(name => {
+                    const oldValue = before.attributes.get(name);
+                    const newValue = state.attributes.get(name);
+                    if (oldValue === newValue) return;
+
+                    const attributes = historyOf(element).attributes;
+                    if (!attributes.has(name)) attributes.set(name, []);
+                    touch(attributes.get(name), pass);
+
+                    let message;
+                    if (newValue === undefined) {
+                        message = `${pass} removed ${name}="${shorten(oldValue)}" from ${describe(before)}`;
+                    } else if (oldValue === undefined) {
+                        message = `${pass} added ${name}="${shorten(newValue)}" to ${label}`;
+                    } else {
+                        message = `${pass} changed ${name} on ${label}: "${shorten(oldValue)}" → "${shorten(newValue)}"`;
+                    }
+                    changes.push({
+                        pass,
+                        type: newValue === undefined ? 'attribute-removed' : oldValue === undefined ? 'attribute-added' : 'attribute-changed',
+                        element: label,
+                        attribute: name,
+                        before: oldValue === undefined ? null : oldValue,
+                        after: newValue === undefined ? null : newValue,
+                        message
+                    });
+                });
+
+                if (before.text !== state.text) {
+                    touch(historyOf(element).text, pass);
+                    changes.push({ pass, type: 'text-changed', element: label, message: `${pass} changed the text of ${label}` });
+                }
+            });
+
+            previous = current;
+        }
+
+        function attributeLines(element, before, after) {
+            // Original attributes in source order, then the ones passes added
+            const passes = (history.get(element) || { attributes: new Map() }).attributes;
+            const names = [...(before ? before.attributes.keys() : [])];
+            if (after) {
+                after.attributes.forEach((value, name) => {
+                    if (!names.includes(name)) names.push(name);
+                });
+            }
+
+            return names.map(name => {
+                const oldValue = before ? before.attributes.get(name) : undefined;
+                const newValue = after ? after.attributes.get(name) : undefined;
+                // Attributes of an added or removed element go with it
+                let status = 'same';
+                if (before && after) {
+                    if (oldValue === undefined) {
+                        status = 'added';
+                    } else if (newValue === undefined) {
+                        status = 'removed';
+                    } else if (oldValue !== newValue) {
+                        status = 'changed';
+                    }
+                }
+                return {
+                    name,
+                    value: newValue === undefined ? oldValue : newValue,
+                    before: status === 'changed' ? oldValue : null,
+                    status,
+                    pass: status === 'same' || !passes.has(name) ? null : passes.get(name).join(', ')
+                };
+            });
+        }
+
+        function result() {
+            // The original tree with each element's fate, plus added elements
+            // under their new parents
+            const final = previous;
+            const lines = [];
+            const survivors = element => initial.get(element).children
+                .some(child => final.has(child) || survivors(child));
+            const size = element => initial.get(element).children
+                .reduce((count, child) => count + 1 + size(child), 0);
+
+            const visit = (element, depth) => {
+                const before = initial.get(element);
+                const after = final.get(element);
+                const fate = history.get(element) || { attributes: new Map(), text: [] };
+                const attributes = attributeLines(element, before, after);
+
+                let status = 'same';
+                let pass = null;
+                if (!before) {
+                    status = 'added';
+                    pass = fate.added;
+                } else if (!after) {
+                    status = 'removed';
+                    pass = fate.removed;
+                } else if (fate.moved) {
+                    status = 'moved';
+                    pass = fate.moved;
+                } else if (attributes.some(attr => attr.status !== 'same') || fate.text.length > 0) {
+                    status = 'changed';
+                }
+
+                const oldText = before ? before.text : '';
+                const newText = after ? after.text : '';
+                const line = {
+                    depth,
+                    tagName: (after || before).tagName,
+                    status,
+                    pass,
+                    attributes,
+                    text: oldText.trim() || newText.trim()
+                        ? { value: after ? newText : oldText, before: oldText !== newText && before && after ? oldText : null, pass: fate.text.join(', ') || null }
+                        : null,
+                    hidden: 0
+                };
+                lines.push(line);
+
+                const children = before ? before.children.slice() : after.children.slice();
+                if (before && after) {
+                    after.children.forEach(child => {
+                        if (!initial.has(child)) children.push(child);
+                    });
+                }
+
+                // A subtree removed with everything in it is one line
+                if (status === 'removed' && !survivors(element)) {
+                    line.hidden = size(element);
+                    return;
+                }
+                children.forEach(child => visit(child, depth + 1));
+            };
+            visit(svg, 0);
+
+            return { changes, lines };
+        }
+
+        return { record, result };
+    }
+
+    return {
+        createTracker
+    };
+}));
@@ -0,0 +1,167 @@
+/**
+ * Editor data left in exported files.
+ *
+ * Illustrator, Inkscape, Sketch, Figma and Affinity store their own state in
+ * XML namespaces: layer settings, document views and, in Illustrator's case,
+ * a compressed copy of the whole document (<i:pgf>). Nothing in those
+ * namespaces renders in a browser. Elements and attributes are matched by
+ * namespace URI, not by prefix, so a file that binds Illustrator's namespace
+ * to "ai:" is cleaned as well as one that uses "i:".
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.editors = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Known editor namespaces. `prefix` is the one the editor writes; it is
+    // also used to recognise content in files that forgot to declare it.
+    const EDITOR_NAMESPACES = [
+        { uri: 'http://ns.adobe.com/AdobeIllustrator/10.0/', prefix: 'i', editor: 'Illustrator' },
+        { uri: 'http://ns.adobe.com/Extensibility/1.0/', prefix: 'x', editor: 'Illustrator' },
+        { uri: 'http://ns.adobe.com/Graphs/1.0/', prefix: 'graph', editor: 'Illustrator' },
+        { uri: 'http://ns.adobe.com/AdobeSVGViewerExtensions/3.0/', prefix: 'a', editor: 'Illustrator' },
+        { uri: 'http://ns.adobe.com/Variables/1.0/', prefix: 'v', editor: 'Illustrator' },
+        { uri: 'http://ns.adobe.com/SaveForWeb/1.0/', prefix: 'sfw', editor: 'Illustrator' },
+        { uri: 'http://ns.adobe.com/ImageReplacement/1.0/', prefix: 'ir', editor: 'Illustrator' },
+        { uri: 'http://ns.adobe.com/Flows/1.0/', prefix: 'flows', editor: 'Illustrator' },
+        { uri: 'http://ns.adobe.com/GenericCustomNamespace/1.0/', prefix: 'custom', editor: 'Illustrator' },
+        { uri: 'http://ns.adobe.com/XPath/1.0/', prefix: 'xpath', editor: 'Illustrator' },
+        { uri: 'adobe:ns:meta/', prefix: 'x', editor: 'Illustrator' },
+        { uri: 'http://www.inkscape.org/namespaces/inkscape', prefix: 'inkscape', editor: 'Inkscape' },
+        { uri: 'http://sodipodi.sourceforge.net/DTD/sodipodi-0.dtd', prefix: 'sodipodi', editor: 'Inkscape' },
+        { uri: 'http://www.bohemiancoding.com/sketch/ns', prefix: 'sketch', editor: 'Sketch' },
+        { uri: 'http://www.figma.com/figma/ns', prefix: 'figma', editor: 'Figma' },
+        { uri: 'http://www.serif.com/', prefix: 'serif', editor: 'Affinity' }
+    ];
+
+    // Attributes without a namespace that only editors read: layer names
+    // (Illustrator, Sketch and Figma export them as data-name) and
+    // Illustrator's enable-background, which no browser implements
+    const EDITOR_ATTRIBUTES = ['data-name', 'enable-background'];
+
+    const EDITOR_STYLE_PROPERTIES = ['enable-background'];
+
+    function splitName(name) {
+        const index = name.indexOf(':');
+        return index === -1 ? [null, name] : [name.slice(0, index), name.slice(index + 1)];
+    }
+
+    function lookupNamespace(element, prefix) {
+        // The URI bound to `prefix` (null for the default namespace) where
+        // `element` sits, or undefined when nothing declares it
+        const attribute = prefix ? `xmlns:${prefix}` : 'xmlns';
+        for (let node = element; node && node.nodeType === 1; node = node.parentNode) {
+            if (node.hasAttribute(attribute)) return node.getAttribute(attribute);
+        }
+        return undefined;
+    }
+
+    function editorNamespaces(extraUris) {
+        return new Set(EDITOR_NAMESPACES.map(entry => entry.uri).concat(extraUris || []));
+    }
+
+    function isEditorName(element, name, uris, isAttribute) {
+        const [prefix] = splitName(name);
+        // Unprefixed attributes are in no namespace, whatever xmlns says
+        if (isAttribute && !prefix) return false;
+        if (prefix === 'xml' || prefix === 'xmlns') return false;
+
+        const uri = lookupNamespace(element, prefix);
+        if (uri !== undefined) return uris.has(uri);
+        // Undeclared: trust the editor's own prefix, unless it is a single
+        // letter that says nothing without its declaration
+        return Boolean(prefix) && prefix.length > 1 && EDITOR_NAMESPACES.some(entry => entry.prefix === prefix);
+    }
+
+    function isEditorFallback(element, uris) {
+        // Illustrator wraps a reference to its private data in
+        // <switch><foreignObject requiredExtensions="…AdobeIllustrator…">,
+        // which only Illustrator itself renders
+        const extensions = (element.getAttribute('requiredExtensions') || '').split(/\s+/).filter(Boolean);
+        return element.tagName === 'foreignObject' && extensions.length > 0 && extensions.every(uri => uris.has(uri));
+    }
+
+    function removeStyleProperties(element) {
+        const style = element.getAttribute('style');
+        if (!style) return;
+
+        const declarations = style.split(';').filter(declaration => {
+            const index = declaration.indexOf(':');
+            return index === -1 || !EDITOR_STYLE_PROPERTIES.includes(declaration.slice(0, index).trim().toLowerCase());
+        });
+        const cleaned = declarations.join(';');
+        if (cleaned !== style) {
+            if (cleaned.trim()) {
+                element.setAttribute('style', cleaned);
+            } else {
+                element.removeAttribute('style');
+            }
+        }
+    }
+
+    function removeEditorData(svg, extraUris) {
+        // Removes editor elements, attributes and style properties in place
+        const uris = editorNamespaces(extraUris);
+
+        const visit = element => {
+            element.children.slice().forEach(child => {
+                if (isEditorName(child, child.tagName, uris, false) || isEditorFallback(child, uris)) {
+                    child.remove();
+                } else {
+                    visit(child);
+                }
+            });
+
+            element.attributes.slice().forEach(attr => {
+                if (EDITOR_ATTRIBUTES.includes(attr.name) || isEditorName(element, attr.name, uris, true)) {
+                    element.removeAttribute(attr.name);
+                }
+            });
+            removeStyleProperties(element);
+
+            // A <switch> left with just the artwork no longer chooses anything
+            if (element.tagName === 'switch' && element.attributes.length === 0 &&
+                element.children.length === 1 && element.parentNode) {
+                element.parentNode.replaceChild(element.children[0], element);
+            }
+        };
+        visit(svg);
+    }
+
+    function removeUnusedNamespaces(element) {
+        // Drops xmlns:* declarations no element or attribute in scope uses.
+        // Returns the prefixes used in `element` and below.
+        const used = new Set();
+        const use = name => {
+            const [prefix] = splitName(name);
+            if (prefix && prefix !== 'xmlns') used.add(prefix);
+        };
+
+        element.children.forEach(child => {
+            removeUnusedNamespaces(child).forEach(prefix => used.add(prefix));
+        });
+        use(element.tagName);
+        element.attributes.forEach(attr => use(attr.name));
+
+        element.attributes.slice().forEach(attr => {
+            const [prefix, local] = splitName(attr.name);
+            if (prefix === 'xmlns' && !used.has(local)) {
+                element.removeAttribute(attr.name);
+            }
+        });
+        return used;
+    }
+
+    return {
+        EDITOR_NAMESPACES,
+        EDITOR_ATTRIBUTES,
+        lookupNamespace,
+        removeEditorData,
+        removeUnusedNamespaces
+    };
+}));
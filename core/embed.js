@@ -0,0 +1,89 @@
+/**
+ * Data URI and CSS snippets for embedding a cleaned file.
+ *
+ * SVG is text, so a percent-encoded data URI is usually smaller than base64,
+ * both raw and gzipped. Attribute values are switched to single quotes so the
+ * URI fits inside url("…") or src="…" without escaping, and only the
+ * characters that must be encoded are.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./xml'), require('./colors'), require('./cleaner'));
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.embed = factory(root.ScrubSVG.xml, root.ScrubSVG.colors, root.ScrubSVG.cleaner);
+    }
+}(typeof self !== 'undefined' ? self : this, function (xml, colors, cleaner) {
+    'use strict';
+
+    // Characters a data URI cannot carry as-is: quotes, "%" and "#" would end
+    // or change the URL, "<" and ">" trip up some HTML and CSS tooling, and the
+    // rest are not allowed in URLs. Non-ASCII is encoded as UTF-8.
+    const URI_UNSAFE = /[\uD800-\uDBFF][\uDC00-\uDFFF]|[\u0000-\u001F"%#<>{}\\^`|\u007F-\uFFFF]/g;
+
+    const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+    function serializeRoot(svg, quote) {
+        // The root element only: no XML declaration, doctype or comments outside it
+        return xml.serializeXML(svg, { quote }).trim();
+    }
+
+    function dataUriOf(svg) {
+        const markup = serializeRoot(svg, "'");
+        // Lowercase hex compresses slightly better next to lowercase markup
+        const encoded = markup.replace(URI_UNSAFE, char => encodeURIComponent(char).toLowerCase());
+        return 'data:image/svg+xml,' + encoded;
+    }
+
+    function base64(bytes) {
+        let output = '';
+        for (let i = 0; i < bytes.length; i += 3) {
+            const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+            output += BASE64_ALPHABET[(chunk >> 18) & 63] + BASE64_ALPHABET[(chunk >> 12) & 63] +
+                (i + 1 < bytes.length ? BASE64_ALPHABET[(chunk >> 6) & 63] : '=') +
+                (i + 2 < bytes.length ? BASE64_ALPHABET[chunk & 63] : '=');
+        }
+        return output;
+    }
+
+    function base64DataUriOf(svg) {
+        const bytes = new TextEncoder().encode(serializeRoot(svg, '"'));
+        return 'data:image/svg+xml;base64,' + base64(bytes);
+    }
+
+    function toDataUri(svgContent) {
+        return dataUriOf(cleaner.parseSVG(svgContent));
+    }
+
+    function toBase64DataUri(svgContent) {
+        return base64DataUriOf(cleaner.parseSVG(svgContent));
+    }
+
+    function embedOutputs(svgContent) {
+        // Returns { dataUri, base64, background, mask }. `mask` is null for
+        // multi-colour files, which a mask would flatten to one colour.
+        // The file is parsed once for all of them.
+        const svg = cleaner.parseSVG(svgContent);
+        const dataUri = dataUriOf(svg);
+        const singleColor = colors.paintColors(svg).size <= 1;
+
+        return {
+            dataUri,
+            base64: base64DataUriOf(svg),
+            background: `background-image: url("${dataUri}");`,
+            mask: singleColor
+                ? [
+                    `-webkit-mask: url("${dataUri}") center / contain no-repeat;`,
+                    `mask: url("${dataUri}") center / contain no-repeat;`,
+                    'background-color: currentColor;'
+                ].join('\n')
+                : null
+        };
+    }
+
+    return {
+        toDataUri,
+        toBase64DataUri,
+        embedOutputs
+    };
+}));
@@ -0,0 +1,55 @@
+/**
+ * Number parsing and formatting shared by the geometry passes.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.numbers = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const NUMBER_PATTERN = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+
+    function parseNumber(value) {
+        // Plain unitless numbers only; anything else (units, percentages) returns null
+        if (value === null || value === undefined) return null;
+        const text = String(value).trim();
+        return NUMBER_PATTERN.test(text) ? parseFloat(text) : null;
+    }
+
+    function roundNumber(value, precision) {
+        // Round to `precision` decimal places; null/undefined keeps full precision
+        if (precision === null || precision === undefined) {
+            return value;
+        }
+        const factor = Math.pow(10, precision);
+        const rounded = Math.round(value * factor) / factor;
+        // Avoid "-0"
+        return rounded === 0 ? 0 : rounded;
+    }
+
+    function formatNumber(value, precision) {
+        const rounded = roundNumber(value, precision);
+        // toString() switches to exponent notation for very small or large values
+        if (Math.abs(rounded) < 1e-6 && rounded !== 0) {
+            return rounded.toFixed(20).replace(/0+$/, '');
+        }
+        return String(rounded);
+    }
+
+    function minifyNumber(value, precision) {
+        // Like formatNumber, but also drops the leading zero: 0.5 -> .5, -0.5 -> -.5
+        return formatNumber(value, precision).replace(/^(-?)0\./, '$1.');
+    }
+
+    return {
+        NUMBER_PATTERN,
+        parseNumber,
+        roundNumber,
+        formatNumber,
+        minifyNumber
+    };
+}));
@@ -0,0 +1,555 @@
+/**
+ * Path data (the `d` attribute) parsing and geometry helpers.
+ *
+ * A parsed path is an array of segments: { command: 'l', values: [10, 0] }.
+ * Implicit repeated commands are expanded, so every segment carries exactly
+ * one command's worth of values.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./numbers'));
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.path = factory(root.ScrubSVG.numbers);
+    }
+}(typeof self !== 'undefined' ? self : this, function (numbers) {
+    'use strict';
+
+    const ARG_COUNTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+    const COMMAND_PATTERN = /[MLHVCSQTAZ]/i;
+    const NUMBER_PATTERN = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+
+    function parsePath(d) {
+        // Returns null for malformed data so callers can leave it untouched
+        const segments = [];
+        const length = d.length;
+        let command = null;
+        let pos = 0;
+
+        function skipWhitespace() {
+            while (pos < length && /\s/.test(d[pos])) pos++;
+        }
+
+        function skipSeparators() {
+            skipWhitespace();
+            if (d[pos] === ',') {
+                pos++;
+                skipWhitespace();
+            }
+        }
+
+        function readNumber() {
+            NUMBER_PATTERN.lastIndex = pos;
+            const match = NUMBER_PATTERN.exec(d);
+            if (!match) return null;
+            pos += match[0].length;
+            return parseFloat(match[0]);
+        }
+
+        function readFlag() {
+            // Arc flags are single characters and may be written without separators ("a1 1 0 011 1")
+            if (d[pos] !== '0' && d[pos] !== '1') return null;
+            return Number(d[pos++]);
+        }
+
+        while (pos < length) {
+            skipWhitespace();
+            if (pos >= length) break;
+
+            let current;
+            if (COMMAND_PATTERN.test(d[pos])) {
+                current = d[pos++];
+            } else if (command && command.toUpperCase() !== 'Z' && /[\d.+-]/.test(d[pos])) {
+                // Extra coordinate pairs after a moveto are implicit linetos
+                current = command === 'M' ? 'L' : command === 'm' ? 'l' : command;
+            } else {
+                return null;
+            }
+
+            if (segments.length === 0 && current.toUpperCase() !== 'M') {
+                return null;
+            }
+
+            const upper = current.toUpperCase();
+            const values = [];
+            for (let i = 0; i < ARG_COUNTS[upper]; i++) {
+                skipSeparators();
+                const value = upper === 'A' && (i === 3 || i === 4) ? readFlag() : readNumber();
+                if (value === null) return null;
+                values.push(value);
+            }
+
+            segments.push({ command: current, values });
+            command = current;
+
+            if (upper !== 'Z') {
+                skipWhitespace();
+                if (d[pos] === ',') pos++;
+            }
+        }
+
+        return segments;
+    }
+
+    function toAbsolute(segments) {
+        // Converts every segment to its absolute (uppercase) form
+        const result = [];
+        let x = 0;
+        let y = 0;
+        let startX = 0;
+        let startY = 0;
+
+        segments.forEach(segment => {
+            const upper = segment.command.toUpperCase();
+            const relative = segment.command !== upper;
+            const values = segment.values.slice();
+
+            if (relative) {
+                switch (upper) {
+                    case 'H':
+                        values[0] += x;
+                        break;
+                    case 'V':
+                        values[0] += y;
+                        break;
+                    case 'A':
+                        values[5] += x;
+                        values[6] += y;
+                        break;
+                    default:
+                        for (let i = 0; i < values.length; i += 2) {
+                            values[i] += x;
+                            values[i + 1] += y;
+                        }
+                }
+            }
+
+            switch (upper) {
+                case 'Z':
+                    x = startX;
+                    y = startY;
+                    break;
+                case 'H':
+                    x = values[0];
+                    break;
+                case 'V':
+                    y = values[0];
+                    break;
+                default:
+                    x = values[values.length - 2];
+                    y = values[values.length - 1];
+            }
+
+            if (upper === 'M') {
+                startX = x;
+                startY = y;
+            }
+
+            result.push({ command: upper, values });
+        });
+
+        return result;
+    }
+
+    function transformPoint(matrix, x, y) {
+        const [a, b, c, d, e, f] = matrix;
+        return [a * x + c * y + e, b * x + d * y + f];
+    }
+
+    function transformArc(matrix, rx, ry, angle) {
+        // The arc's ellipse is the unit circle mapped by T * R(angle) * diag(rx, ry).
+        // Its new radii and rotation are the singular values/left vectors of that matrix.
+        const [a, b, c, d] = matrix;
+        const radians = angle * Math.PI / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+
+        const p = (a * cos + c * sin) * rx;
+        const q = (-a * sin + c * cos) * ry;
+        const r = (b * cos + d * sin) * rx;
+        const s = (-b * sin + d * cos) * ry;
+
+        const A = p * p + q * q;
+        const B = p * r + q * s;
+        const C = r * r + s * s;
+        const mean = (A + C) / 2;
+        const delta = Math.sqrt(((A - C) / 2) * ((A - C) / 2) + B * B);
+
+        return {
+            rx: Math.sqrt(mean + delta),
+            ry: Math.sqrt(Math.max(mean - delta, 0)),
+            angle: (Math.atan2(2 * B, A - C) / 2) * 180 / Math.PI
+        };
+    }
+
+    function transformPath(segments, matrix) {
+        // Applies an affine matrix to absolute segments. Horizontal/vertical
+        // lines stay H/V only while the matrix keeps axes aligned.
+        const [a, b, c, d, e, f] = matrix;
+        const axisAligned = b === 0 && c === 0;
+        const flipsSweep = a * d - b * c < 0;
+        let x = 0;
+        let y = 0;
+        let startX = 0;
+        let startY = 0;
+
+        return segments.map(segment => {
+            const values = segment.values;
+            let command = segment.command;
+            let result;
+
+            switch (command) {
+                case 'Z':
+                    x = startX;
+                    y = startY;
+                    result = [];
+                    break;
+                case 'H':
+                    x = values[0];
+                    if (axisAligned) {
+                        result = [a * x + e];
+                    } else {
+                        command = 'L';
+                        result = transformPoint(matrix, x, y);
+                    }
+                    break;
+                case 'V':
+                    y = values[0];
+                    if (axisAligned) {
+                        result = [d * y + f];
+                    } else {
+                        command = 'L';
+                        result = transformPoint(matrix, x, y);
+                    }
+                    break;
+                case 'A': {
+                    const arc = transformArc(matrix, values[0], values[1], values[2]);
+                    const sweep = flipsSweep ? 1 - values[4] : values[4];
+                    x = values[5];
+                    y = values[6];
+                    result = [arc.rx, arc.ry, arc.angle, values[3], sweep].concat(transformPoint(matrix, x, y));
+                    break;
+                }
+                default:
+                    result = [];
+                    for (let i = 0; i < values.length; i += 2) {
+                        result.push(...transformPoint(matrix, values[i], values[i + 1]));
+                    }
+                    x = values[values.length - 2];
+                    y = values[values.length - 1];
+                    if (command === 'M') {
+                        startX = x;
+                        startY = y;
+                    }
+            }
+
+            return { command, values: result };
+        });
+    }
+
+    function serializePath(segments, precision) {
+        return segments
+            .map(segment => segment.command + segment.values.map(value => numbers.formatNumber(value, precision)).join(' '))
+            .join('');
+    }
+
+    function normalizeSegments(segments) {
+        // Absolute segments with every implicit point made explicit: H/V become
+        // L, S becomes C and T becomes Q. Each segment also records where it starts.
+        const result = [];
+        let x = 0;
+        let y = 0;
+        let startX = 0;
+        let startY = 0;
+        let previous = null;
+
+        toAbsolute(segments).forEach(segment => {
+            const values = segment.values;
+            let command = segment.command;
+            let points;
+
+            switch (command) {
+                case 'H':
+                    command = 'L';
+                    points = [values[0], y];
+                    break;
+                case 'V':
+                    command = 'L';
+                    points = [x, values[0]];
+                    break;
+                case 'S': {
+                    // The first control point mirrors the previous curve's last one
+                    const mirror = previous && previous.command === 'C';
+                    command = 'C';
+                    points = [
+                        mirror ? 2 * x - previous.values[2] : x,
+                        mirror ? 2 * y - previous.values[3] : y
+                    ].concat(values);
+                    break;
+                }
+                case 'T': {
+                    const mirror = previous && previous.command === 'Q';
+                    command = 'Q';
+                    points = [
+                        mirror ? 2 * x - previous.values[0] : x,
+                        mirror ? 2 * y - previous.values[1] : y
+                    ].concat(values);
+                    break;
+                }
+                default:
+                    points = values.slice();
+            }
+
+            const normalized = { command, values: points, startX: x, startY: y };
+
+            if (command === 'Z') {
+                x = startX;
+                y = startY;
+            } else {
+                x = points[points.length - 2];
+                y = points[points.length - 1];
+            }
+            if (command === 'M') {
+                startX = x;
+                startY = y;
+            }
+
+            result.push(normalized);
+            previous = normalized;
+        });
+
+        return result;
+    }
+
+    function roundSegments(segments, precision) {
+        // Rounds absolute values up front so relative values computed from them
+        // cannot accumulate error. Arc flags are left alone.
+        if (precision === null || precision === undefined) return segments;
+
+        let x = 0;
+        let y = 0;
+        let startX = 0;
+        let startY = 0;
+
+        return segments.map(segment => {
+            const values = segment.values.map((value, i) =>
+                segment.command === 'A' && (i === 3 || i === 4) ? value : numbers.roundNumber(value, precision)
+            );
+            const rounded = { command: segment.command, values, startX: x, startY: y };
+
+            if (segment.command === 'Z') {
+                x = startX;
+                y = startY;
+            } else {
+                x = values[values.length - 2];
+                y = values[values.length - 1];
+            }
+            if (segment.command === 'M') {
+                startX = x;
+                startY = y;
+            }
+            return rounded;
+        });
+    }
+
+    function isPointOnLine(px, py, x1, y1, x2, y2, tolerance) {
+        // True when (px, py) lies on the segment from (x1, y1) to (x2, y2)
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const length = Math.hypot(dx, dy);
+        if (length === 0) {
+            return Math.hypot(px - x1, py - y1) <= tolerance;
+        }
+        const distance = Math.abs(dy * (px - x1) - dx * (py - y1)) / length;
+        const t = ((px - x1) * dx + (py - y1) * dy) / (length * length);
+        return distance <= tolerance && t >= 0 && t <= 1;
+    }
+
+    function simplifySegments(segments, options) {
+        const tolerance = options.precision === null || options.precision === undefined
+            ? 1e-9
+            : Math.pow(10, -options.precision);
+
+        const simplified = segments.map(segment => {
+            const v = segment.values;
+            const x = segment.startX;
+            const y = segment.startY;
+
+            if (options.straightCurves !== false) {
+                if (segment.command === 'C' &&
+                    isPointOnLine(v[0], v[1], x, y, v[4], v[5], tolerance) &&
+                    isPointOnLine(v[2], v[3], x, y, v[4], v[5], tolerance)) {
+                    return Object.assign({}, segment, { command: 'L', values: [v[4], v[5]] });
+                }
+                if (segment.command === 'Q' && isPointOnLine(v[0], v[1], x, y, v[2], v[3], tolerance)) {
+                    return Object.assign({}, segment, { command: 'L', values: [v[2], v[3]] });
+                }
+                // An arc with a zero radius is drawn as a straight line
+                if (segment.command === 'A' && (v[0] === 0 || v[1] === 0)) {
+                    return Object.assign({}, segment, { command: 'L', values: [v[5], v[6]] });
+                }
+            }
+            return segment;
+        });
+
+        if (options.removeZeroLength === false) {
+            return simplified;
+        }
+
+        // Drop segments that go nowhere, unless they are all a subpath draws
+        // (a lone zero-length segment still renders a dot with round caps)
+        const isZeroLength = segment => {
+            if (segment.command === 'M' || segment.command === 'Z') return false;
+            return segment.values.every((value, i) => {
+                if (segment.command === 'A' && i < 5) return true;
+                return value === (i % 2 === 0 ? segment.startX : segment.startY);
+            });
+        };
+
+        const result = [];
+        let subpath = [];
+        const flush = () => {
+            const drawing = subpath.filter(segment => segment.command !== 'M' && segment.command !== 'Z');
+            const keepAll = drawing.every(isZeroLength);
+            subpath.forEach(segment => {
+                if (keepAll || !isZeroLength(segment)) result.push(segment);
+            });
+            subpath = [];
+        };
+
+        simplified.forEach(segment => {
+            if (segment.command === 'M') flush();
+            subpath.push(segment);
+        });
+        flush();
+
+        return result;
+    }
+
+    function needsSeparator(previous, next) {
+        // Numbers can touch when the next one starts with a sign, or with a
+        // decimal point while the previous one already contains one
+        if (previous === null) return false;
+        if (next[0] === '-') return false;
+        if (next[0] === '.' && /[.eE]/.test(previous)) return false;
+        return true;
+    }
+
+    function joinNumbers(texts, previous) {
+        let out = '';
+        texts.forEach(text => {
+            if (needsSeparator(previous, text)) out += ' ';
+            out += text;
+            previous = text;
+        });
+        return out;
+    }
+
+    function optimizePath(d, options = {}) {
+        // Returns the shortest serialization of `d` found, or null when it cannot be parsed
+        const parsed = parsePath(d);
+        if (!parsed) return null;
+        if (parsed.length === 0) return '';
+
+        const precision = options.precision;
+        const format = value => numbers.minifyNumber(value, precision);
+        const segments = simplifySegments(roundSegments(normalizeSegments(parsed), precision), options);
+
+        let out = '';
+        let lastCommand = null;
+        let lastNumber = null;
+        let previous = null;
+
+        segments.forEach((segment, index) => {
+            const v = segment.values;
+            const x = segment.startX;
+            const y = segment.startY;
+            const relative = values => values.map((value, i) => numbers.roundNumber(value - (i % 2 === 0 ? x : y), precision));
+            const candidates = [];
+
+            switch (segment.command) {
+                case 'M':
+                    candidates.push(['M', v]);
+                    if (index > 0) candidates.push(['m', relative(v)]);
+                    break;
+                case 'L':
+                    if (v[1] === y) candidates.push(['H', [v[0]]], ['h', [numbers.roundNumber(v[0] - x, precision)]]);
+                    if (v[0] === x) candidates.push(['V', [v[1]]], ['v', [numbers.roundNumber(v[1] - y, precision)]]);
+                    candidates.push(['L', v], ['l', relative(v)]);
+                    break;
+                case 'C': {
+                    // S applies when the first control point mirrors the previous one
+                    const mirrorX = previous && previous.command === 'C' ? 2 * x - previous.values[2] : x;
+                    const mirrorY = previous && previous.command === 'C' ? 2 * y - previous.values[3] : y;
+                    if (Math.abs(v[0] - mirrorX) < 1e-9 && Math.abs(v[1] - mirrorY) < 1e-9) {
+                        candidates.push(['S', v.slice(2)], ['s', relative(v.slice(2))]);
+                    }
+                    candidates.push(['C', v], ['c', relative(v)]);
+                    break;
+                }
+                case 'Q': {
+                    const mirrorX = previous && previous.command === 'Q' ? 2 * x - previous.values[0] : x;
+                    const mirrorY = previous && previous.command === 'Q' ? 2 * y - previous.values[1] : y;
+                    if (Math.abs(v[0] - mirrorX) < 1e-9 && Math.abs(v[1] - mirrorY) < 1e-9) {
+                        candidates.push(['T', v.slice(2)], ['t', relative(v.slice(2))]);
+                    }
+                    candidates.push(['Q', v], ['q', relative(v)]);
+                    break;
+                }
+                case 'A': {
+                    const end = relative(v.slice(5));
+                    candidates.push(['A', v], ['a', v.slice(0, 5).concat(end)]);
+                    break;
+                }
+                case 'Z':
+                    candidates.push(['z', []]);
+                    break;
+            }
+
+            // Serialize every candidate and keep the shortest. The command
+            // letter can be omitted when it repeats (or is a lineto after a moveto).
+            let best = null;
+            candidates.forEach(([command, values]) => {
+                const texts = values.map(format);
+                const implicit = command !== 'z' && lastCommand !== null && (
+                    (command === lastCommand && command.toUpperCase() !== 'M') ||
+                    (command === 'L' && lastCommand === 'M') ||
+                    (command === 'l' && lastCommand === 'm')
+                );
+                const text = implicit ? joinNumbers(texts, lastNumber) : command + joinNumbers(texts, null);
+                // On a tie prefer relative commands: runs of them repeat more often
+                const isRelative = command === command.toLowerCase();
+                if (!best || text.length < best.text.length ||
+                    (text.length === best.text.length && isRelative && !best.relative)) {
+                    best = {
+                        command: implicit ? lastCommand : command,
+                        relative: isRelative,
+                        text,
+                        lastNumber: texts.length ? texts[texts.length - 1] : null
+                    };
+                }
+            });
+
+            out += best.text;
+            // After an implicit lineto the effective command is still the one written
+            lastCommand = best.command;
+            lastNumber = best.lastNumber;
+            previous = segment;
+        });
+
+        return out;
+    }
+
+    return {
+        ARG_COUNTS,
+        parsePath,
+        toAbsolute,
+        transformPoint,
+        transformArc,
+        transformPath,
+        normalizeSegments,
+        serializePath,
+        optimizePath
+    };
+}));
@@ -0,0 +1,1278 @@
+/**
+ * Cleaning passes, in the order they run.
+ *
+ * Every plugin has a name, a short description for the settings panel, its
+ * default params and a function that receives the root <svg> element, the
+ * resolved params, the report (warnings and stats shown with the result) and
+ * information about the input ({ fileName }). Plugins mutate the tree in place.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./xml'), require('./numbers'), require('./path'), require('./transform'), require('./references'), require('./sanitize'), require('./whitespace'), require('./editors'), require('./rasters'), require('./bbox'), require('./colors'));
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.plugins = factory(root.ScrubSVG.xml, root.ScrubSVG.numbers, root.ScrubSVG.path, root.ScrubSVG.transform, root.ScrubSVG.references, root.ScrubSVG.sanitize, root.ScrubSVG.whitespace, root.ScrubSVG.editors, root.ScrubSVG.rasters, root.ScrubSVG.bbox, root.ScrubSVG.colors);
+    }
+}(typeof self !== 'undefined' ? self : this, function (xml, numbers, path, transform, references, sanitize, whitespace, editors, rasters, bbox, colors) {
+    'use strict';
+
+    const plugins = [
+        {
+            name: 'sanitize',
+            description: 'Remove scripts, event handlers, javascript: URLs, foreignObject and external resources',
+            params: { allowElements: '', allowAttributes: '', allowUrls: '' },
+            enabled: false,
+            fn: sanitizeContent
+        },
+        {
+            name: 'accessibility',
+            description: 'Keep title/desc as the accessible name (role="img", aria-labelledby) or mark the file decorative',
+            params: { decorative: false },
+            enabled: false,
+            fn: addAccessibility
+        },
+        {
+            name: 'removeUselessMetadata',
+            description: 'Strip title, desc, metadata, editor namespaces (Illustrator, Inkscape, Sketch, Figma, Affinity), unused xmlns and comments',
+            params: { removeTitle: true, removeDesc: true, removeMetadata: true, removeEditorAttributes: true, editorNamespaces: '', removeUnusedNamespaces: true, removeComments: true },
+            fn: removeUselessMetadata
+        },
+        {
+            name: 'removeWidthHeight',
+            description: 'Remove width/height from the root element',
+            params: {},
+            fn: removeWidthHeight
+        },
+        {
+            name: 'keepViewBox',
+            description: 'Create a viewBox from width/height when missing',
+            params: {},
+            fn: keepViewBox
+        },
+        {
+            name: 'fitViewBox',
+            description: 'Crop the viewBox to the visible content (strokes included), or scale and center the artwork into a square icon grid',
+            params: { scaleToGrid: false, gridSize: 24, padding: 0, precision: 3 },
+            enabled: false,
+            fn: fitViewBox
+        },
+        {
+            name: 'collapseTransforms',
+            description: 'Multiply nested transforms and apply them to shape coordinates',
+            params: { precision: 3, pushGroupTransforms: true, applyToShapes: true },
+            fn: collapseTransforms
+        },
+        {
+            name: 'optimizePathData',
+            description: 'Rewrite path data in its shortest form',
+            params: { precision: 3, straightCurves: true, removeZeroLength: true },
+            fn: optimizePathData
+        },
+        {
+            name: 'cleanupNumericValues',
+            description: 'Round numbers, strip trailing zeros and px units',
+            params: { precision: 3, removeUnits: true },
+            fn: cleanupNumericValues
+        },
+        {
+            name: 'minifyColors',
+            description: 'Write colours in their shortest form (#f00, red, #abc), lowercase',
+            params: { names: true },
+            fn: minifyColors
+        },
+        {
+            name: 'mergeGradients',
+            description: 'Merge identical gradients and drop repeated gradient stops',
+            params: {},
+            fn: mergeGradients
+        },
+        {
+            name: 'removeUnusedDefs',
+            description: 'Remove unreferenced gradients, clip paths, masks, symbols and IDs',
+            params: { removeUnusedIds: true },
+            fn: removeUnusedDefs
+        },
+        {
+            name: 'cleanupIds',
+            description: 'Shorten referenced IDs and optionally prefix them ([name], [hash])',
+            params: { minify: true, prefix: '' },
+            fn: cleanupIds
+        },
+        {
+            name: 'flattenGroups',
+            description: 'Flatten groups without attributes',
+            params: {},
+            fn: flattenGroups
+        },
+        {
+            name: 'removeHiddenElements',
+            description: 'Remove elements with display:none or visibility:hidden',
+            params: {},
+            fn: removeHiddenElements
+        },
+        {
+            name: 'cleanupStyles',
+            description: 'Remove empty style attributes',
+            params: {},
+            fn: cleanupStyles
+        },
+        {
+            name: 'cleanupTextContent',
+            description: 'Collapse whitespace in text the way it renders and remove zero-width spaces',
+            params: { trim: true },
+            fn: cleanupTextContent
+        },
+        {
+            name: 'cleanupAttributes',
+            description: 'Sanitize IDs, class names and references',
+            params: {},
+            fn: cleanupAttributes
+        },
+        {
+            name: 'analyzeRasters',
+            description: 'List embedded PNG/JPEG/GIF/WebP images and flag files that are mostly raster',
+            params: { notVectorShare: 0.5 },
+            fn: analyzeRasters
+        },
+        {
+            name: 'analyzeColors',
+            description: 'List the distinct colours the file uses and how often each appears',
+            params: {},
+            fn: analyzeColors
+        }
+    ];
+
+    function sanitizeContent(svg, params = {}, report) {
+        // Allowlists are comma-separated so they fit a text field
+        const list = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+        const removed = sanitize.sanitizeTree(svg, {
+            elements: list(params.allowElements),
+            attributes: list(params.allowAttributes),
+            urls: list(params.allowUrls)
+        });
+
+        if (report) {
+            report.stats.sanitized = removed;
+        }
+    }
+
+    function addAccessibility(svg, params = {}, report, info = {}) {
+        // Decorative files are hidden from assistive technology altogether
+        if (params.decorative || svg.getAttribute('aria-hidden') === 'true') {
+            svg.setAttribute('aria-hidden', 'true');
+            ['role', 'aria-label', 'aria-labelledby', 'aria-describedby'].forEach(name => svg.removeAttribute(name));
+            return;
+        }
+
+        if (!svg.hasAttribute('role')) {
+            svg.setAttribute('role', 'img');
+        }
+
+        // Link the root <title> and <desc> (the first with text) through IDs,
+        // and move them to the top where screen readers expect them. New IDs
+        // start with the file name (or a hash of the file), so two icons
+        // inlined in one page do not share id="title".
+        const takenIds = new Set(svg.querySelectorAll('[id]').map(element => element.getAttribute('id')));
+        let filePrefix = null;
+        ['desc', 'title'].forEach(tagName => {
+            const element = svg.children.find(child => child.tagName === tagName && child.textContent.trim() !== '');
+            if (!element) return;
+
+            if (!element.hasAttribute('id')) {
+                filePrefix = filePrefix || resolveIdPrefix('[name]-', svg, info.fileName);
+                let id = filePrefix + tagName;
+                for (let n = 2; takenIds.has(id); n++) {
+                    id = `${filePrefix}${tagName}-${n}`;
+                }
+                takenIds.add(id);
+                element.setAttribute('id', id);
+            }
+
+            const attribute = tagName === 'title' ? 'aria-labelledby' : 'aria-describedby';
+            const ids = (svg.getAttribute(attribute) || '').split(/\s+/).filter(Boolean);
+            if (!ids.includes(element.getAttribute('id'))) {
+                svg.setAttribute(attribute, ids.concat(element.getAttribute('id')).join(' '));
+            }
+
+            svg.insertBefore(element, svg.firstChild);
+        });
+
+        if (!hasAccessibleName(svg) && report) {
+            report.warnings.push('No accessible name: add a <title> or aria-label, or mark the file decorative');
+        }
+    }
+
+    function hasAccessibleName(svg) {
+        if ((svg.getAttribute('aria-label') || '').trim() !== '') return true;
+
+        const ids = (svg.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean);
+        return [svg].concat(svg.querySelectorAll('[id]'))
+            .some(element => ids.includes(element.getAttribute('id')) && element.textContent.trim() !== '');
+    }
+
+    function removeUselessMetadata(svg, params = {}) {
+        // Remove title, desc, metadata elements
+        const metadataSelectors = [];
+        if (params.removeTitle !== false) metadataSelectors.push('title');
+        if (params.removeDesc !== false) metadataSelectors.push('desc');
+        if (params.removeMetadata !== false) metadataSelectors.push('metadata');
+
+        // A title or desc linked through aria-labelledby/aria-describedby is
+        // the file's accessible name, not metadata
+        const linkedIds = new Set();
+        [svg].concat(svg.querySelectorAll('[aria-labelledby], [aria-describedby]')).forEach(element => {
+            ['aria-labelledby', 'aria-describedby'].forEach(name => {
+                (element.getAttribute(name) || '').split(/\s+/).filter(Boolean).forEach(id => linkedIds.add(id));
+            });
+        });
+
+        metadataSelectors.forEach(selector => {
+            const elements = svg.querySelectorAll(selector);
+            elements.forEach(el => {
+                if (!linkedIds.has(el.getAttribute('id'))) {
+                    el.remove();
+                }
+            });
+        });
+
+        // Remove elements and attributes in editor namespaces. Extra namespace
+        // URIs are comma-separated so they fit a text field.
+        if (params.removeEditorAttributes !== false) {
+            const extraNamespaces = (params.editorNamespaces || '').split(',').map(uri => uri.trim()).filter(Boolean);
+            editors.removeEditorData(svg, extraNamespaces);
+        }
+
+        if (params.removeUnusedNamespaces !== false) {
+            editors.removeUnusedNamespaces(svg);
+        }
+
+        // Ensure the main SVG namespace is preserved
+        if (!svg.getAttribute('xmlns')) {
+            svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        }
+
+        // Remove XML comments
+        if (params.removeComments !== false) {
+            removeComments(svg);
+        }
+    }
+
+    function removeWidthHeight(svg) {
+        // Remove width and height attributes from root SVG
+        svg.removeAttribute('width');
+        svg.removeAttribute('height');
+    }
+
+    function keepViewBox(svg) {
+        // Ensure viewBox is preserved - this method just validates it exists
+        if (!svg.getAttribute('viewBox')) {
+            // If no viewBox but has width/height, try to create one
+            const width = svg.getAttribute('width');
+            const height = svg.getAttribute('height');
+            if (width && height) {
+                const w = parseFloat(width);
+                const h = parseFloat(height);
+                if (!isNaN(w) && !isNaN(h)) {
+                    svg.setAttribute('viewBox', `0 0 ${w} ${h}`);
+                }
+            }
+        }
+    }
+
+    function fitViewBox(svg, params = {}, report) {
+        // Crops the viewBox to the content's bounding box plus `padding`, or
+        // with scaleToGrid wraps the artwork in a transform that scales and
+        // centres it in a gridSize x gridSize viewBox with `padding` on every
+        // side. collapseTransforms then applies that transform to the shapes.
+        const { bounds, unmeasured } = bbox.contentBounds(svg);
+        if (unmeasured.length > 0) {
+            if (report) {
+                report.warnings.push(`fitViewBox: left the viewBox alone because ${unmeasured.map(name => `<${name}>`).join(', ')} cannot be measured`);
+            }
+            return;
+        }
+        if (!bounds) return;
+
+        const precision = params.precision;
+        const padding = Math.max(0, Number(params.padding) || 0);
+        const format = values => values.map(value => numbers.formatNumber(value, precision)).join(' ');
+        const viewBox = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(numbers.parseNumber);
+
+        if (!params.scaleToGrid) {
+            const cropped = [bounds.x - padding, bounds.y - padding, bounds.width + 2 * padding, bounds.height + 2 * padding];
+            if (cropped[2] <= 0 || cropped[3] <= 0) return;
+
+            // Keep the file drawn at the same scale where it has a size
+            if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+                [['width', 2], ['height', 3]].forEach(([name, index]) => {
+                    const size = numbers.parseNumber((svg.getAttribute(name) || '').replace(/px$/, ''));
+                    if (size !== null) {
+                        svg.setAttribute(name, numbers.formatNumber(size * cropped[index] / viewBox[index], precision));
+                    }
+                });
+            }
+            svg.setAttribute('viewBox', format(cropped));
+            return;
+        }
+
+        const size = Number(params.gridSize) > 0 ? Number(params.gridSize) : 24;
+        const available = size - 2 * padding;
+        const extent = Math.max(bounds.width, bounds.height);
+        if (available <= 0 || extent === 0) {
+            if (report && available <= 0) {
+                report.warnings.push(`fitViewBox: a padding of ${padding} leaves no room in a ${size}\u00D7${size} grid`);
+            }
+            return;
+        }
+
+        const scale = available / extent;
+        const matrix = [
+            scale, 0, 0, scale,
+            padding + (available - bounds.width * scale) / 2 - bounds.x * scale,
+            padding + (available - bounds.height * scale) / 2 - bounds.y * scale
+        ];
+
+        // Everything drawn moves into one group; defs, styles and metadata
+        // stay where they are
+        const group = new xml.XMLElement('g');
+        group.setAttribute('transform', transform.matrixToTransform(matrix, precision));
+        const content = svg.children.filter(child => !['defs', 'style', 'script', 'title', 'desc', 'metadata'].includes(child.localName));
+        if (content.length === 0) return;
+        svg.insertBefore(group, content[0]);
+        content.forEach(child => group.appendChild(child));
+
+        svg.setAttribute('viewBox', format([0, 0, size, size]));
+        ['width', 'height'].forEach(name => {
+            if (svg.hasAttribute(name)) svg.setAttribute(name, format([size]));
+        });
+    }
+
+    function optimizePathData(svg, params = {}, report) {
+        // Shortest absolute/relative form per segment, minimal separators,
+        // straight curves as lines and no zero-length segments
+        let originalBytes = 0;
+        let cleanedBytes = 0;
+        let count = 0;
+
+        svg.querySelectorAll('[d]').forEach(element => {
+            const d = element.getAttribute('d');
+            const markers = MARKER_PROPERTIES.some(name => getInheritedProperty(element, name));
+
+            // Markers are drawn at every vertex, so keep the vertex count intact
+            const optimized = path.optimizePath(d, {
+                precision: params.precision,
+                straightCurves: params.straightCurves,
+                removeZeroLength: params.removeZeroLength !== false && !markers
+            });
+
+            count++;
+            originalBytes += d.length;
+
+            if (optimized !== null && optimized.length < d.length) {
+                element.setAttribute('d', optimized);
+                cleanedBytes += optimized.length;
+            } else {
+                cleanedBytes += d.length;
+            }
+        });
+
+        if (report) {
+            report.stats.pathData = { count, originalBytes, cleanedBytes };
+        }
+    }
+
+    // Attributes holding a length or coordinate (some, like x/y on text, accept lists)
+    const LENGTH_ATTRIBUTES = [
+        'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy', 'fr',
+        'width', 'height', 'dx', 'dy', 'refX', 'refY', 'markerWidth', 'markerHeight',
+        'startOffset', 'textLength', 'stroke-width', 'stroke-dashoffset', 'stroke-dasharray',
+        'font-size', 'letter-spacing', 'word-spacing', 'viewBox', 'points'
+    ];
+
+    // Unitless ratios where a few decimals matter whatever the canvas size
+    const RATIO_ATTRIBUTES = [
+        'opacity', 'fill-opacity', 'stroke-opacity', 'stop-opacity', 'flood-opacity',
+        'offset', 'stroke-miterlimit', 'stdDeviation'
+    ];
+
+    const TRANSFORM_ATTRIBUTES = ['transform', 'gradientTransform', 'patternTransform'];
+
+    const VALUE_WITH_UNIT = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)([a-z]+|%)?$/i;
+
+    function cleanupNumericValues(svg, params = {}) {
+        // Round numbers in geometry and presentation attributes, and in the
+        // same properties inside style attributes. Trailing zeros always go;
+        // "px" goes in attributes, where lengths are in user units anyway.
+        const precision = params.precision;
+        const ratioPrecision = precision === undefined || precision === null ? precision : Math.max(precision, 3);
+
+        [svg].concat(svg.querySelectorAll('*')).forEach(element => {
+            // Leave elements from foreign namespaces (editor data, RDF) alone
+            if (element.prefix) return;
+
+            Array.from(element.attributes).forEach(attr => {
+                let cleanValue = null;
+
+                if (LENGTH_ATTRIBUTES.includes(attr.name)) {
+                    cleanValue = roundNumericList(attr.value, precision, params.removeUnits !== false);
+                } else if (RATIO_ATTRIBUTES.includes(attr.name)) {
+                    cleanValue = roundNumericList(attr.value, ratioPrecision, false);
+                } else if (TRANSFORM_ATTRIBUTES.includes(attr.name)) {
+                    cleanValue = roundTransform(attr.value, precision);
+                } else if (attr.name === 'style') {
+                    cleanValue = roundStyle(attr.value, precision, ratioPrecision);
+                }
+
+                if (cleanValue !== null && cleanValue !== attr.value) {
+                    element.setAttribute(attr.name, cleanValue);
+                }
+            });
+        });
+    }
+
+    function roundNumericList(value, precision, removeUnits) {
+        // Returns the rounded value, or null if any item is not a number
+        const items = value.trim().split(/\s*,\s*|\s+/);
+        const rounded = [];
+
+        for (const item of items) {
+            const match = item.match(VALUE_WITH_UNIT);
+            if (!match) return null;
+
+            let unit = match[2] || '';
+            if (removeUnits && unit.toLowerCase() === 'px') {
+                unit = '';
+            }
+            rounded.push(numbers.minifyNumber(parseFloat(match[1]), precision) + unit);
+        }
+
+        return rounded.join(' ');
+    }
+
+    function roundTransform(value, precision) {
+        // Rounds each function's arguments. Scale, rotation and skew factors
+        // keep two extra digits because their error grows with distance.
+        if (!transform.parseTransform(value)) return null;
+        const linearPrecision = precision === undefined || precision === null ? precision : precision + 2;
+
+        return value.replace(/\s*(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)\s*,?\s*/g, (match, name, args) => {
+            const values = args.trim().split(/\s*,\s*|\s+/).map(parseFloat);
+            const rounded = values.map((number, i) => {
+                const isOffset = name === 'translate' || (name === 'matrix' && i >= 4) || (name === 'rotate' && i > 0);
+                return numbers.minifyNumber(number, isOffset ? precision : linearPrecision);
+            });
+            return `${name}(${rounded.join(' ')})`;
+        });
+    }
+
+    function roundStyle(style, precision, ratioPrecision) {
+        // Units are kept here: CSS needs them on everything but SVG properties
+        return style.split(';').map(declaration => {
+            const index = declaration.indexOf(':');
+            if (index === -1) return declaration;
+
+            const name = declaration.slice(0, index).trim();
+            const value = declaration.slice(index + 1).trim();
+            let rounded = null;
+            if (LENGTH_ATTRIBUTES.includes(name)) {
+                rounded = roundNumericList(value, precision, false);
+            } else if (RATIO_ATTRIBUTES.includes(name)) {
+                rounded = roundNumericList(value, ratioPrecision, false);
+            }
+            return rounded === null ? declaration : `${declaration.slice(0, index)}:${rounded}`;
+        }).join(';');
+    }
+
+    function minifyColors(svg, params = {}) {
+        // Attributes, style attributes, stylesheets and colour animations alike
+        colors.visitColors(svg, value => colors.minifyColor(value, { names: params.names !== false }));
+    }
+
+    const GRADIENT_ELEMENTS = ['linearGradient', 'radialGradient'];
+
+    function mergeGradients(svg) {
+        // Scripts can look up any ID, so no gradient can be dropped
+        if (hasScripts(svg)) return;
+
+        // The same stop twice in a row draws nothing extra
+        svg.querySelectorAll(GRADIENT_ELEMENTS.join(', ')).forEach(gradient => {
+            let previous = null;
+            gradient.children.forEach(child => {
+                const key = child.tagName === 'stop' ? xml.serializeXML(child) : null;
+                if (key !== null && key === previous) {
+                    child.remove();
+                } else {
+                    previous = key;
+                }
+            });
+        });
+
+        // A stylesheet can style one gradient by ID; url() references are
+        // renamed like any other and do not count
+        const selectors = svg.querySelectorAll('style').map(style => style.textContent).join('\n').replace(/url\([^)]*\)/g, '');
+        const styledById = id => new RegExp(`#${id.replace(/[^\w-]/g, '\\$&')}(?![\\w-])`).test(selectors);
+
+        // Point references to later copies at the first gradient and remove
+        // the copies. Gradients that inherit stops through href can become
+        // identical once their templates are merged, so repeat until nothing
+        // changes.
+        let merged = true;
+        while (merged) {
+            const kept = new Map();
+            const mapping = new Map();
+            svg.querySelectorAll(GRADIENT_ELEMENTS.join(', ')).forEach(gradient => {
+                const id = gradient.getAttribute('id');
+                if (!id || styledById(id)) return;
+
+                const attributes = gradient.attributes
+                    .filter(attr => attr.name !== 'id')
+                    .map(attr => `${attr.name}="${attr.value}"`)
+                    .sort();
+                const key = [gradient.tagName].concat(attributes, gradient.children.map(child => xml.serializeXML(child))).join('\n');
+                if (kept.has(key)) {
+                    mapping.set(id, kept.get(key));
+                    gradient.remove();
+                } else {
+                    kept.set(key, id);
+                }
+            });
+            references.renameIds(svg, mapping);
+            merged = mapping.size > 0;
+        }
+    }
+
+    // Elements that only render where something references them
+    const DEFINITION_ELEMENTS = [
+        'linearGradient', 'radialGradient', 'clipPath', 'mask', 'filter',
+        'marker', 'pattern', 'symbol'
+    ];
+
+    // Children of <defs> that apply without being referenced
+    const UNREFERENCED_DEFS_CHILDREN = ['style', 'script', 'font-face'];
+
+    function removeUnusedDefs(svg, params = {}) {
+        // Scripts can look up any ID, so nothing is provably unused
+        if (hasScripts(svg)) return;
+
+        const isSprite = isSpriteSheet(svg);
+
+        // Removing a definition can orphan the ones it referenced (a gradient
+        // inheriting stops through href), so repeat until nothing changes
+        let removed = true;
+        while (removed) {
+            removed = false;
+            const referenced = references.collectReferencedIds(svg);
+            const isUsed = element => [element].concat(element.querySelectorAll('[id]'))
+                .some(el => el.hasAttribute('id') && referenced.has(el.getAttribute('id')));
+
+            const candidates = svg.querySelectorAll(DEFINITION_ELEMENTS.join(', '));
+            svg.querySelectorAll('defs').forEach(defs => {
+                defs.children.forEach(child => {
+                    if (!UNREFERENCED_DEFS_CHILDREN.includes(child.tagName) && !candidates.includes(child)) {
+                        candidates.push(child);
+                    }
+                });
+            });
+
+            candidates.forEach(element => {
+                if (isSprite && element.tagName === 'symbol') return;
+                if (element.parentNode && !isUsed(element)) {
+                    element.remove();
+                    removed = true;
+                }
+            });
+        }
+
+        // Collapse <defs> left empty (or holding only whitespace)
+        svg.querySelectorAll('defs').forEach(defs => {
+            if (defs.children.length === 0 && defs.textContent.trim() === '') {
+                defs.remove();
+            }
+        });
+
+        if (params.removeUnusedIds !== false) {
+            const referenced = references.collectReferencedIds(svg);
+            [svg].concat(svg.querySelectorAll('[id]')).forEach(element => {
+                if (element.hasAttribute('id') && !referenced.has(element.getAttribute('id')) && !(isSprite && element.tagName === 'symbol')) {
+                    element.removeAttribute('id');
+                }
+            });
+        }
+    }
+
+    function hasScripts(svg) {
+        return svg.querySelectorAll('script').length > 0 || [svg].concat(svg.querySelectorAll('*'))
+            .some(element => element.attributes.some(attr => /^on/i.test(attr.name)));
+    }
+
+    function isSpriteSheet(svg) {
+        // A file with nothing to render outside its symbols is a sprite sheet;
+        // its symbols are referenced from the page that uses it
+        return svg.children.length > 0 && svg.children.every(child => ['defs', 'symbol', 'style'].includes(child.tagName) ||
+            NON_RENDERING_ELEMENTS.includes(child.tagName));
+    }
+
+    function cleanupIds(svg, params = {}, report, info = {}) {
+        // Minify referenced IDs and/or prefix every ID so several SVGs inlined
+        // in one page cannot clash
+        if (hasScripts(svg)) return;
+
+        const prefix = resolveIdPrefix(params.prefix || '', svg, info.fileName);
+        const sprite = isSpriteSheet(svg);
+        const elements = [svg].concat(svg.querySelectorAll('[id]')).filter(element => element.hasAttribute('id'));
+
+        // Sprite symbols are referenced by name from outside the file. Without
+        // a prefix, the root's title and desc keep their IDs: minified to "a"
+        // they would clash with the next icon inlined in the same page, and
+        // a screen reader would read that icon's name.
+        const labelIds = prefix ? [] : ['aria-labelledby', 'aria-describedby']
+            .map(name => (svg.getAttribute(name) || '').split(/\s+/))
+            .reduce((all, list) => all.concat(list), []);
+        const isKept = element => (sprite && element.tagName === 'symbol') ||
+            (element.parentNode === svg && labelIds.includes(element.getAttribute('id')));
+        const ids = [];
+        elements.forEach(element => {
+            const id = element.getAttribute('id');
+            if (!ids.includes(id)) ids.push(id);
+        });
+        const keptIds = elements.filter(isKept).map(element => element.getAttribute('id'));
+
+        const mapping = new Map();
+
+        if (params.minify !== false) {
+            // Most referenced IDs get the shortest names
+            const counts = new Map();
+            references.visitReferences(svg, id => {
+                counts.set(id, (counts.get(id) || 0) + 1);
+                return id;
+            });
+
+            const candidates = ids
+                .filter(id => counts.has(id) && !keptIds.includes(id))
+                .sort((a, b) => counts.get(b) - counts.get(a));
+            // IDs that are not minified keep their (prefixed) names, and
+            // references to IDs the file does not define keep pointing nowhere
+            const reserved = new Set(ids
+                .filter(id => !candidates.includes(id))
+                .map(id => (keptIds.includes(id) ? id : prefix + id))
+                .concat(Array.from(counts.keys()).filter(id => !ids.includes(id))));
+
+            let index = 0;
+            candidates.forEach(id => {
+                let shortId;
+                do {
+                    shortId = prefix + generateId(index++);
+                } while (reserved.has(shortId));
+                mapping.set(id, shortId);
+            });
+        }
+
+        if (prefix) {
+            ids.forEach(id => {
+                if (!mapping.has(id) && !keptIds.includes(id)) {
+                    mapping.set(id, prefix + id);
+                }
+            });
+        }
+
+        references.renameIds(svg, mapping);
+    }
+
+    const ID_CHARACTERS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+    function generateId(index) {
+        // a, b, ... Z, aa, ab, ... - the first character is always a letter
+        let id = ID_CHARACTERS[index % 52];
+        index = Math.floor(index / 52);
+        while (index > 0) {
+            index--;
+            id += ID_CHARACTERS[index % ID_CHARACTERS.length];
+            index = Math.floor(index / ID_CHARACTERS.length);
+        }
+        return id;
+    }
+
+    function resolveIdPrefix(prefix, svg, fileName) {
+        // "[name]" is the file name without extension, "[hash]" a short hash
+        // of the content (also used for [name] when there is no file name)
+        const hash = () => 'h' + hashString(xml.serializeXML(svg)).toString(36);
+        return prefix
+            .replace(/\[name\]/g, () => {
+                const name = (fileName || '').replace(/^.*[\\/]/, '').replace(/\.svg$/i, '')
+                    .replace(/[^a-zA-Z0-9_-]/g, '_')
+                    .replace(/^[^a-zA-Z]+/, '');
+                return name || hash();
+            })
+            .replace(/\[hash\]/g, hash);
+    }
+
+    function hashString(text) {
+        // 32-bit FNV-1a
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash;
+    }
+
+
+    function flattenGroups(svg) {
+        // Find groups that can be flattened. Any attribute counts: besides
+        // transform, style, class and id, presentation attributes such as
+        // fill or opacity are inherited by the children and would be lost.
+        const groups = svg.querySelectorAll('g');
+
+        groups.forEach(group => {
+            // Only flatten groups without attributes
+            if (group.attributes.length === 0) {
+                // Move children to parent
+                const parent = group.parentNode;
+                while (group.firstChild) {
+                    parent.insertBefore(group.firstChild, group);
+                }
+                group.remove();
+            }
+        });
+    }
+
+    function removeHiddenElements(svg) {
+        // Remove elements with display:none or visibility:hidden
+        const allElements = svg.querySelectorAll('*');
+
+        allElements.forEach(element => {
+            const style = element.getAttribute('style') || '';
+            const display = element.getAttribute('display');
+            const visibility = element.getAttribute('visibility');
+
+            if (display === 'none' ||
+                visibility === 'hidden' ||
+                style.includes('display:none') ||
+                style.includes('display: none') ||
+                style.includes('visibility:hidden') ||
+                style.includes('visibility: hidden')) {
+                element.remove();
+            }
+        });
+    }
+
+    // Shapes whose geometry can absorb a transform
+    const SHAPE_ELEMENTS = ['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon'];
+
+    // Elements that accept a transform pushed down from their parent group
+    const TRANSFORMABLE_ELEMENTS = SHAPE_ELEMENTS.concat(['g', 'text', 'use', 'image', 'a', 'switch', 'foreignObject']);
+
+    // Children that render nothing and can stay inside a group or shape untouched
+    const NON_RENDERING_ELEMENTS = ['title', 'desc', 'metadata'];
+
+    const MARKER_PROPERTIES = ['marker', 'marker-start', 'marker-mid', 'marker-end'];
+
+    function collapseTransforms(svg, params = {}) {
+        const precision = params.precision;
+        const styleSheets = svg.querySelectorAll('style').map(style => style.textContent).join('\n');
+        const context = {
+            precision,
+            // Rules in a stylesheet can override anything we would rewrite
+            hasStylesheet: styleSheets.trim() !== '',
+            markersInStylesheet: /marker/i.test(styleSheets),
+            pathReferences: collectPathReferences(svg)
+        };
+
+        // Push group transforms down so nested transforms multiply together
+        // and reach the shapes. Groups are visited parent-first, so a child
+        // group sees the transform it inherited before passing it on.
+        if (params.pushGroupTransforms !== false) {
+            svg.querySelectorAll('g').forEach(group => {
+                const value = group.getAttribute('transform');
+                if (!value || !canPushTransform(group)) return;
+
+                group.children.forEach(child => {
+                    if (NON_RENDERING_ELEMENTS.includes(child.tagName)) return;
+                    const childTransform = child.getAttribute('transform');
+                    child.setAttribute('transform', childTransform ? `${value} ${childTransform}` : value);
+                });
+                group.removeAttribute('transform');
+            });
+        }
+
+        svg.querySelectorAll('[transform]').forEach(element => {
+            const value = element.getAttribute('transform');
+            const matrix = transform.parseTransform(value);
+            if (!matrix) return; // Leave values we cannot parse alone
+
+            if (transform.isIdentity(matrix)) {
+                element.removeAttribute('transform');
+            } else if (params.applyToShapes !== false && applyTransform(element, matrix, context)) {
+                element.removeAttribute('transform');
+            } else {
+                const shortest = transform.matrixToTransform(matrix, precision);
+                if (shortest.length < value.length) {
+                    element.setAttribute('transform', shortest);
+                }
+            }
+        });
+
+        // Gradient and pattern transforms cannot be applied, only simplified
+        svg.querySelectorAll('[gradientTransform], [patternTransform]').forEach(element => {
+            ['gradientTransform', 'patternTransform'].forEach(name => {
+                const value = element.getAttribute(name);
+                const matrix = value && transform.parseTransform(value);
+                if (!matrix) return;
+
+                if (transform.isIdentity(matrix)) {
+                    element.removeAttribute(name);
+                } else {
+                    const shortest = transform.matrixToTransform(matrix, precision);
+                    if (shortest.length < value.length) {
+                        element.setAttribute(name, shortest);
+                    }
+                }
+            });
+        });
+    }
+
+    function collectPathReferences(svg) {
+        // IDs of paths used by <textPath>/<mpath>; their own transform is part
+        // of how the referencing element reads the geometry
+        const ids = new Set();
+        svg.querySelectorAll('textPath, mpath').forEach(element => {
+            const href = element.getAttribute('href') || element.getAttribute('xlink:href');
+            if (href && href.startsWith('#')) {
+                ids.add(href.slice(1));
+            }
+        });
+        return ids;
+    }
+
+    function hasUrlReference(element) {
+        return element.attributes.some(attr => attr.value.includes('url('));
+    }
+
+    function hasOnlyNonRenderingChildren(element) {
+        return element.children.every(child => NON_RENDERING_ELEMENTS.includes(child.tagName));
+    }
+
+    function canPushTransform(group) {
+        // clip-path, mask and filter on the group live in its transformed space
+        if (!transform.parseTransform(group.getAttribute('transform')) || hasUrlReference(group)) {
+            return false;
+        }
+
+        // Animations inside the group may target the group's own transform
+        return group.children.every(child =>
+            TRANSFORMABLE_ELEMENTS.includes(child.tagName) || NON_RENDERING_ELEMENTS.includes(child.tagName)
+        );
+    }
+
+    function getStyleProperty(element, name) {
+        const style = element.getAttribute('style');
+        if (!style) return null;
+
+        let value = null;
+        style.split(';').forEach(declaration => {
+            const index = declaration.indexOf(':');
+            if (index !== -1 && declaration.slice(0, index).trim() === name) {
+                value = declaration.slice(index + 1).trim();
+            }
+        });
+        return value;
+    }
+
+    function getInheritedProperty(element, name) {
+        // The style attribute wins over the presentation attribute, and the
+        // nearest ancestor that sets either one wins over the rest
+        for (let node = element; node && node.nodeType === xml.ELEMENT_NODE; node = node.parentNode) {
+            const value = getStyleProperty(node, name);
+            if (value !== null) return value;
+            if (node.hasAttribute(name)) return node.getAttribute(name);
+        }
+        return null;
+    }
+
+    function applyTransform(element, matrix, context) {
+        // Rewrites a shape's coordinates so it renders the same without its
+        // transform. Returns false (changing nothing) when that is not safe.
+        if (!SHAPE_ELEMENTS.includes(element.tagName) ||
+            !hasOnlyNonRenderingChildren(element) ||
+            hasUrlReference(element) ||
+            getInheritedProperty(element, 'vector-effect') ||
+            // Markers are drawn in the shape's user space, so they would
+            // lose the transform, also when inherited from an ancestor
+            context.markersInStylesheet ||
+            MARKER_PROPERTIES.some(name => getInheritedProperty(element, name)) ||
+            element.hasAttribute('pathLength') ||
+            context.pathReferences.has(element.getAttribute('id'))) {
+            return false;
+        }
+
+        // A user-space gradient or pattern inherited from a parent would move
+        const fill = getInheritedProperty(element, 'fill') || '';
+        const stroke = getInheritedProperty(element, 'stroke') || '';
+        if (fill.includes('url(') || stroke.includes('url(')) {
+            return false;
+        }
+
+        const geometry = transformGeometry(element, matrix, context.precision);
+        if (!geometry) return false;
+
+        const isStroked = context.hasStylesheet || (stroke !== '' && stroke !== 'none');
+        let strokeAttributes = {};
+        if (isStroked) {
+            // Only a uniform scale can be moved into the stroke width
+            const scale = transform.uniformScale(matrix);
+            if (scale === null) return false;
+            if (Math.abs(scale - 1) > 1e-9) {
+                strokeAttributes = scaleStroke(element, scale, context);
+                if (!strokeAttributes) return false;
+            }
+        }
+
+        Object.keys(geometry).forEach(name => element.setAttribute(name, geometry[name]));
+        Object.keys(strokeAttributes).forEach(name => element.setAttribute(name, strokeAttributes[name]));
+        return true;
+    }
+
+    function scaleStroke(element, scale, context) {
+        // Returns the stroke attributes scaled by `scale`, or null if they cannot be
+        if (context.hasStylesheet) return null;
+
+        const properties = ['stroke-width', 'stroke-dasharray', 'stroke-dashoffset'];
+        if (properties.some(name => getStyleProperty(element, name) !== null)) {
+            return null;
+        }
+
+        const attributes = {};
+        const width = numbers.parseNumber((getInheritedProperty(element, 'stroke-width') || '1').replace(/px$/, ''));
+        if (width === null) return null;
+        attributes['stroke-width'] = numbers.formatNumber(width * scale, context.precision);
+
+        const dashArray = getInheritedProperty(element, 'stroke-dasharray');
+        if (dashArray && dashArray.trim() !== 'none') {
+            const dashes = dashArray.trim().split(/\s*,\s*|\s+/).map(numbers.parseNumber);
+            if (dashes.some(dash => dash === null)) return null;
+            attributes['stroke-dasharray'] = dashes.map(dash => numbers.formatNumber(dash * scale, context.precision)).join(' ');
+        }
+
+        const dashOffset = getInheritedProperty(element, 'stroke-dashoffset');
+        if (dashOffset) {
+            const offset = numbers.parseNumber(dashOffset);
+            if (offset === null) return null;
+            attributes['stroke-dashoffset'] = numbers.formatNumber(offset * scale, context.precision);
+        }
+
+        return attributes;
+    }
+
+    function readNumbers(element, names, defaults = {}) {
+        // Reads numeric attributes; returns null if any is missing or has units
+        const values = {};
+        for (const name of names) {
+            const raw = element.getAttribute(name);
+            const value = raw === null ? defaults[name] : numbers.parseNumber(raw);
+            if (value === null || value === undefined) return null;
+            values[name] = value;
+        }
+        return values;
+    }
+
+    function transformGeometry(element, matrix, precision) {
+        // New geometry attributes for `element` with `matrix` applied, or null
+        const format = value => numbers.formatNumber(value, precision);
+        const [a, , , d] = matrix;
+
+        switch (element.tagName) {
+            case 'path': {
+                const segments = path.parsePath(element.getAttribute('d') || '');
+                if (!segments) return null;
+                return { d: path.serializePath(path.transformPath(path.toAbsolute(segments), matrix), precision) };
+            }
+            case 'line': {
+                const v = readNumbers(element, ['x1', 'y1', 'x2', 'y2'], { x1: 0, y1: 0, x2: 0, y2: 0 });
+                if (!v) return null;
+                const [x1, y1] = path.transformPoint(matrix, v.x1, v.y1);
+                const [x2, y2] = path.transformPoint(matrix, v.x2, v.y2);
+                return { x1: format(x1), y1: format(y1), x2: format(x2), y2: format(y2) };
+            }
+            case 'polyline':
+            case 'polygon': {
+                const points = (element.getAttribute('points') || '').trim().split(/\s*,\s*|\s+/).map(numbers.parseNumber);
+                if (points.length < 2 || points.length % 2 !== 0 || points.some(value => value === null)) return null;
+                const pairs = [];
+                for (let i = 0; i < points.length; i += 2) {
+                    pairs.push(path.transformPoint(matrix, points[i], points[i + 1]).map(format).join(','));
+                }
+                return { points: pairs.join(' ') };
+            }
+            case 'rect': {
+                if (!transform.isAxisAligned(matrix)) return null;
+                const v = readNumbers(element, ['x', 'y', 'width', 'height'], { x: 0, y: 0 });
+                if (!v) return null;
+                const result = {
+                    x: format(Math.min(a * v.x, a * (v.x + v.width)) + matrix[4]),
+                    y: format(Math.min(d * v.y, d * (v.y + v.height)) + matrix[5]),
+                    width: format(Math.abs(a) * v.width),
+                    height: format(Math.abs(d) * v.height)
+                };
+
+                // A missing corner radius takes the value of the other one
+                const rx = element.hasAttribute('rx') ? numbers.parseNumber(element.getAttribute('rx')) : undefined;
+                const ry = element.hasAttribute('ry') ? numbers.parseNumber(element.getAttribute('ry')) : undefined;
+                if (rx === null || ry === null) return null;
+                if (rx !== undefined || ry !== undefined) {
+                    const radiusX = Math.abs(a) * (rx !== undefined ? rx : ry);
+                    const radiusY = Math.abs(d) * (ry !== undefined ? ry : rx);
+                    // Keep relying on the fallback when the radii stay equal
+                    if (rx !== undefined || radiusX !== radiusY) result.rx = format(radiusX);
+                    if (ry !== undefined || radiusX !== radiusY) result.ry = format(radiusY);
+                }
+                return result;
+            }
+            case 'circle': {
+                const scale = transform.uniformScale(matrix);
+                const v = readNumbers(element, ['cx', 'cy', 'r'], { cx: 0, cy: 0 });
+                if (scale === null || !v) return null;
+                const [cx, cy] = path.transformPoint(matrix, v.cx, v.cy);
+                return { cx: format(cx), cy: format(cy), r: format(v.r * scale) };
+            }
+            case 'ellipse': {
+                const v = readNumbers(element, ['cx', 'cy', 'rx', 'ry'], { cx: 0, cy: 0 });
+                if (!v) return null;
+                const [cx, cy] = path.transformPoint(matrix, v.cx, v.cy);
+                const scale = transform.uniformScale(matrix);
+                if (transform.isAxisAligned(matrix)) {
+                    return { cx: format(cx), cy: format(cy), rx: format(Math.abs(a) * v.rx), ry: format(Math.abs(d) * v.ry) };
+                }
+                if (scale !== null && v.rx === v.ry) {
+                    return { cx: format(cx), cy: format(cy), rx: format(v.rx * scale), ry: format(v.ry * scale) };
+                }
+                return null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    function cleanupStyles(svg) {
+        // Remove empty style attributes
+        const elementsWithStyle = svg.querySelectorAll('[style]');
+
+        elementsWithStyle.forEach(element => {
+            const style = element.getAttribute('style');
+            if (!style || style.trim() === '') {
+                element.removeAttribute('style');
+            }
+        });
+    }
+
+    function cleanupTextContent(svg, params = {}) {
+        // Collapse whitespace in <text> the way the browser renders it: runs
+        // become one space, also across <tspan> boundaries, and the ends of
+        // the text element are trimmed (with `trim`). Text under
+        // xml:space="preserve" or white-space: pre* is left as written, and
+        // the tspans themselves are never touched.
+        svg.querySelectorAll('text').forEach(textElement => {
+            const nodes = [];
+            xml.walk(textElement, node => {
+                if (node.nodeType === xml.TEXT_NODE || node.nodeType === xml.CDATA_SECTION_NODE) {
+                    nodes.push(node);
+                }
+            });
+
+            // Zero-width spaces and stray byte order marks never render.
+            // Joiners (U+200C, U+200D) shape emoji and scripts, so they stay.
+            nodes.forEach(node => {
+                node.data = node.data.replace(/[\u200B\uFEFF]/g, '');
+            });
+
+            const collapsible = node => !whitespace.preservesWhitespace(node);
+
+            // A collapsible space right after another one does not render
+            let afterSpace = params.trim !== false;
+            nodes.forEach(node => {
+                if (!collapsible(node)) {
+                    if (node.data) afterSpace = false;
+                    return;
+                }
+                let data = whitespace.collapseWhitespace(node.data);
+                if (afterSpace && data.startsWith(' ')) {
+                    data = data.slice(1);
+                }
+                if (data) afterSpace = data.endsWith(' ');
+                node.data = data;
+            });
+
+            if (params.trim !== false) {
+                // Trailing space at the end of the text element does not render
+                for (let i = nodes.length - 1; i >= 0; i--) {
+                    if (!collapsible(nodes[i])) {
+                        if (nodes[i].data) break;
+                        continue;
+                    }
+                    nodes[i].data = nodes[i].data.replace(/ $/, '');
+                    if (nodes[i].data) break;
+                }
+            }
+
+            nodes.forEach(node => {
+                if (node.data === '') node.remove();
+            });
+        });
+    }
+
+    function cleanupAttributes(svg) {
+        // Clean up attribute values that contain non-ASCII characters
+        const allElements = svg.querySelectorAll('*');
+
+        allElements.forEach(element => {
+            const attributes = Array.from(element.attributes);
+
+            attributes.forEach(attr => {
+                const name = attr.name;
+                const value = attr.value;
+
+                // Skip essential SVG attributes that might need special characters,
+                // and IDs, which updateReferences() renames with their references
+                if (['d', 'transform', 'id'].includes(name)) {
+                    return;
+                }
+
+                // Clean up class names and other text attributes. aria-* values
+                // are read aloud, so they keep their spaces and characters.
+                if (['class', 'inkscape:label'].includes(name) || name.includes('data-')) {
+                    const cleanValue = value
+                        .replace(/[^\x00-\x7F]/g, '') // Remove non-ASCII characters
+                        .replace(/[^a-zA-Z0-9_-]/g, '_') // Replace special chars with underscore
+                        .replace(/_{2,}/g, '_') // Replace multiple underscores with single
+                        .replace(/^_+|_+$/g, ''); // Remove leading/trailing underscores
+
+                    if (cleanValue && cleanValue !== value) {
+                        element.setAttribute(name, cleanValue);
+                    } else if (!cleanValue) {
+                        // Remove empty attributes
+                        element.removeAttribute(name);
+                    }
+                }
+            });
+        });
+
+        // Clean up CSS content in style elements
+        cleanupStyleElements(svg);
+
+        // Clean up IDs and every reference to them
+        updateReferences(svg);
+    }
+
+    function cleanupStyleElements(svg) {
+        // Clean up content inside <style> elements
+        const styleElements = svg.querySelectorAll('style');
+
+        styleElements.forEach(styleElement => {
+            let cssContent = styleElement.textContent;
+
+            if (cssContent && /[^\x00-\x7F]/.test(cssContent)) {
+                // Clean up class names that might contain non-ASCII characters
+                cssContent = cssContent.replace(/\.([a-zA-Z_][a-zA-Z0-9_\u00A0-\uFFFF-]*)/g, (match, className) => {
+                    const cleanClassName = className
+                        .replace(/[^\x00-\x7F]/g, '') // Remove non-ASCII characters
+                        .replace(/[^a-zA-Z0-9_-]/g, '_') // Replace special chars with underscore
+                        .replace(/_{2,}/g, '_') // Replace multiple underscores with single
+                        .replace(/^_+|_+$/g, ''); // Remove leading/trailing underscores
+
+                    return cleanClassName ? `.${cleanClassName}` : '';
+                });
+
+                styleElement.textContent = cssContent;
+            }
+        });
+    }
+
+    function updateReferences(svg) {
+        // Map IDs with non-ASCII or special characters to clean ones. Two IDs
+        // can sanitize to the same value (or to nothing), so each new ID is
+        // checked against those already taken and numbered if needed.
+        const elementsWithId = [svg].concat(svg.querySelectorAll('[id]')).filter(element => element.hasAttribute('id'));
+        const taken = new Set(elementsWithId.map(element => element.getAttribute('id')));
+        const idMapping = new Map();
+
+        elementsWithId.forEach(element => {
+            const originalId = element.getAttribute('id');
+            if (idMapping.has(originalId)) return;
+
+            let cleanId = originalId
+                .replace(/[^\x00-\x7F]/g, '') // Remove non-ASCII characters
+                .replace(/[^a-zA-Z0-9_-]/g, '_') // Replace special chars with underscore
+                .replace(/_{2,}/g, '_') // Replace multiple underscores with single
+                .replace(/^_+|_+$/g, ''); // Remove leading/trailing underscores
+
+            if (cleanId === originalId) return;
+
+            // IDs must start with a letter to work as CSS selectors
+            if (!/^[a-zA-Z]/.test(cleanId)) {
+                cleanId = cleanId ? `id_${cleanId}` : 'id';
+            }
+
+            let uniqueId = cleanId;
+            for (let n = 2; taken.has(uniqueId); n++) {
+                uniqueId = `${cleanId}_${n}`;
+            }
+
+            taken.add(uniqueId);
+            idMapping.set(originalId, uniqueId);
+        });
+
+        // Update every reference form: url(), href, ID lists, SMIL timing and CSS
+        references.renameIds(svg, idMapping);
+    }
+
+    function analyzeRasters(svg, params = {}, report) {
+        // Reports the embedded images that survived cleaning; the tree is
+        // left alone. A file whose bytes are mostly image data is flagged as
+        // "not really a vector".
+        const images = rasters.findRasters(svg);
+        if (!report || images.length === 0) return;
+
+        const uriLength = images.reduce((sum, image) => sum + image.uri.length, 0);
+        const share = uriLength / xml.serializeXML(svg).length;
+        const threshold = typeof params.notVectorShare === 'number' ? params.notVectorShare : 0.5;
+        report.stats.rasters = {
+            images: images.map(rasters.describeRaster),
+            bytes: uriLength,
+            share,
+            notVector: share >= threshold
+        };
+
+        if (share >= threshold) {
+            report.warnings.push(`Not really a vector: ${Math.round(share * 100)}% of the file is ${images.length === 1 ? 'an embedded raster image' : `${images.length} embedded raster images`}`);
+        }
+        images.forEach(image => {
+            if (image.renderedWidth && image.width > image.renderedWidth * 2 && image.height > image.renderedHeight * 2) {
+                report.warnings.push(`Embedded ${rasters.describeRaster(image).format} is ${image.width}\u00D7${image.height} px but drawn at about ${image.renderedWidth}\u00D7${image.renderedHeight}`);
+            }
+        });
+    }
+
+    function analyzeColors(svg, params = {}, report) {
+        // Reports the palette left after cleaning; the tree is left alone
+        if (!report) return;
+        const palette = colors.colorPalette(svg);
+        if (palette.length > 0) {
+            report.stats.palette = palette;
+        }
+    }
+
+    function removeComments(svg) {
+        // Remove XML comments
+        const comments = [];
+        xml.walk(svg, node => {
+            if (node.nodeType === xml.COMMENT_NODE) {
+                comments.push(node);
+            }
+        });
+
+        comments.forEach(comment => comment.remove());
+    }
+
+    return {
+        plugins
+    };
+}));
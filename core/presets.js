@@ -0,0 +1,151 @@
+/**
+ * Named cleaning presets.
+ *
+ * A preset is a name, the options object cleanSVG() takes ({ plugins,
+ * precision, output }) and optionally a file name pattern. Options are
+ * applied over the defaults, so a preset only lists what it changes. Presets
+ * are exported as a small JSON document that can be checked into a repository
+ * and imported elsewhere, or passed to the CLI with --config and --preset.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.presets = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const FORMAT = 'scrub-svg-presets';
+    const VERSION = 1;
+
+    const STORAGE_KEY = 'scrub-svg.presets';
+
+    const BUILTIN_PRESETS = [
+        {
+            name: 'Icon for inline React',
+            // Inlined next to other icons: no declaration, IDs prefixed per file
+            options: {
+                precision: 2,
+                plugins: { cleanupIds: { prefix: '[name]-' } },
+                output: { xmlDeclaration: false }
+            }
+        },
+        {
+            name: 'Illustration for CDN',
+            // Served as a file: keep the intrinsic size, round relative to the viewBox
+            options: {
+                precision: { significantDigits: 4 },
+                plugins: { removeWidthHeight: false },
+                output: { xmlDeclaration: false }
+            }
+        },
+        {
+            name: 'Email-safe',
+            // Mail clients need explicit dimensions and block active content
+            options: {
+                precision: 2,
+                plugins: { sanitize: true, accessibility: true, removeWidthHeight: false }
+            }
+        },
+        {
+            name: '24px icon grid',
+            // Icons from different sources centred on one canvas with a 2px margin
+            options: {
+                precision: 2,
+                plugins: { fitViewBox: { scaleToGrid: true, gridSize: 24, padding: 2 } },
+                output: { xmlDeclaration: false }
+            }
+        }
+    ];
+
+    function isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    function normalizePreset(preset, index) {
+        // Returns a clean copy of one preset, or throws with the reason
+        const label = `Preset ${index + 1}`;
+        if (!isObject(preset)) {
+            throw new Error(`${label} is not an object`);
+        }
+        const name = typeof preset.name === 'string' ? preset.name.trim() : '';
+        if (!name) {
+            throw new Error(`${label} has no name`);
+        }
+        if (preset.options !== undefined && !isObject(preset.options)) {
+            throw new Error(`Preset "${name}" has invalid options`);
+        }
+
+        const normalized = { name, options: JSON.parse(JSON.stringify(preset.options || {})) };
+        if (typeof preset.namePattern === 'string' && preset.namePattern.trim()) {
+            normalized.namePattern = preset.namePattern.trim();
+        }
+        return normalized;
+    }
+
+    function findPreset(presets, name) {
+        return presets.find(preset => preset.name === name) || null;
+    }
+
+    function mergePresets(existing, added) {
+        // Presets in `added` replace existing ones with the same name
+        const names = new Set(added.map(preset => preset.name));
+        return existing.filter(preset => !names.has(preset.name)).concat(added);
+    }
+
+    function exportPresets(presets) {
+        return JSON.stringify({ format: FORMAT, version: VERSION, presets: presets.map(normalizePreset) }, null, 2) + '\n';
+    }
+
+    function importPresets(text) {
+        // Accepts an exported file or a single { name, options } object
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Preset file is not valid JSON: ${error.message}`);
+        }
+
+        if (isObject(data) && Array.isArray(data.presets)) {
+            if (data.format !== undefined && data.format !== FORMAT) {
+                throw new Error(`Unknown preset file format "${data.format}"`);
+            }
+            if (data.version > VERSION) {
+                throw new Error(`Preset file version ${data.version} is newer than this version supports (${VERSION})`);
+            }
+            return data.presets.map(normalizePreset);
+        }
+        if (isObject(data) && 'name' in data) {
+            return [normalizePreset(data, 0)];
+        }
+        throw new Error('Not a preset file: expected { "presets": [...] }');
+    }
+
+    function loadPresets(storage) {
+        // Saved presets from localStorage (or anything with getItem); a
+        // missing or damaged entry gives an empty list
+        try {
+            const text = storage && storage.getItem(STORAGE_KEY);
+            return text ? importPresets(text) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function savePresets(storage, presets) {
+        storage.setItem(STORAGE_KEY, exportPresets(presets));
+    }
+
+    return {
+        BUILTIN_PRESETS,
+        STORAGE_KEY,
+        findPreset,
+        mergePresets,
+        exportPresets,
+        importPresets,
+        loadPresets,
+        savePresets
+    };
+}));
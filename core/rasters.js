@@ -0,0 +1,292 @@
+/**
+ * Raster images embedded in SVG files.
+ *
+ * Designers' exports are often a base64 PNG or JPEG in an <image href="data:…">
+ * with little or no vector content around it. This finds those images, reads
+ * their format and pixel size from the file headers, works out roughly how
+ * large they are drawn, and can move them out into separate files. Re-encoding
+ * and downscaling need a canvas, so they live in raster-optimize.js.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./xml'), require('./numbers'), require('./transform'));
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.rasters = factory(root.ScrubSVG.xml, root.ScrubSVG.numbers, root.ScrubSVG.transform);
+    }
+}(typeof self !== 'undefined' ? self : this, function (xml, numbers, transform) {
+    'use strict';
+
+    // What to do with embedded images. `format` is 'keep', 'webp' or 'jpeg';
+    // `quality` (0-1) applies to WebP and JPEG; `downscale` shrinks images to
+    // `pixelRatio` times their rendered size; `extract` writes them to
+    // separate files on export.
+    const DEFAULT_OPTIONS = {
+        format: 'keep',
+        quality: 0.8,
+        downscale: false,
+        pixelRatio: 2,
+        extract: false
+    };
+
+    const FORMATS = {
+        png: { label: 'PNG', mime: 'image/png', extension: 'png' },
+        jpeg: { label: 'JPEG', mime: 'image/jpeg', extension: 'jpg' },
+        gif: { label: 'GIF', mime: 'image/gif', extension: 'gif' },
+        webp: { label: 'WebP', mime: 'image/webp', extension: 'webp' },
+        bmp: { label: 'BMP', mime: 'image/bmp', extension: 'bmp' }
+    };
+
+    const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    const BASE64_VALUES = new Uint8Array(128).fill(255);
+    for (let i = 0; i < BASE64_ALPHABET.length; i++) {
+        BASE64_VALUES[BASE64_ALPHABET.charCodeAt(i)] = i;
+    }
+    // URL-safe base64 turns up in hand-made data URIs
+    BASE64_VALUES['-'.charCodeAt(0)] = 62;
+    BASE64_VALUES['_'.charCodeAt(0)] = 63;
+
+    function decodeBase64(text) {
+        // Skips whitespace and anything else outside the alphabet, as browsers do
+        const bytes = new Uint8Array(Math.floor(text.length * 3 / 4) + 3);
+        let length = 0;
+        let buffer = 0;
+        let bits = 0;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            const value = code < 128 ? BASE64_VALUES[code] : 255;
+            if (value === 255) continue;
+            buffer = ((buffer << 6) | value) & 0xFFFFFF;
+            bits += 6;
+            if (bits >= 8) {
+                bits -= 8;
+                bytes[length++] = (buffer >> bits) & 0xFF;
+            }
+        }
+        return bytes.subarray(0, length);
+    }
+
+    function decodeDataUri(uri) {
+        // { mime, bytes } for a data: URI, or null for anything else
+        const match = /^\s*data:([^,]*?),/i.exec(uri);
+        if (!match) return null;
+
+        const parameters = match[1].split(';').map(part => part.trim());
+        const mime = (parameters[0] || 'text/plain').toLowerCase();
+        const data = uri.slice(match[0].length);
+        if (parameters.slice(1).some(part => part.toLowerCase() === 'base64')) {
+            return { mime, bytes: decodeBase64(data) };
+        }
+
+        let text;
+        try {
+            text = decodeURIComponent(data);
+        } catch (error) {
+            text = data;
+        }
+        // Percent-decoded binary: one byte per character
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i) & 0xFF;
+        }
+        return { mime, bytes };
+    }
+
+    function imageSize(bytes) {
+        // { format, width, height } from the image header, or null when the
+        // format is not recognised. The format comes from the bytes, not the
+        // declared MIME type, which is often wrong.
+        const at = index => bytes[index] || 0;
+        const uint16 = (index, little) => (little ? at(index) | (at(index + 1) << 8) : (at(index) << 8) | at(index + 1));
+        const uint32 = index => ((at(index) << 24) | (at(index + 1) << 16) | (at(index + 2) << 8) | at(index + 3)) >>> 0;
+        const int32 = index => at(index) | (at(index + 1) << 8) | (at(index + 2) << 16) | (at(index + 3) << 24);
+        const ascii = (index, length) => String.fromCharCode.apply(null, Array.from(bytes.subarray(index, index + length)));
+
+        if (at(0) === 0x89 && ascii(1, 3) === 'PNG') {
+            return { format: 'png', width: uint32(16), height: uint32(20) };
+        }
+        if (ascii(0, 3) === 'GIF') {
+            return { format: 'gif', width: uint16(6, true), height: uint16(8, true) };
+        }
+        if (ascii(0, 2) === 'BM') {
+            // A negative height means the rows are stored top-down
+            return { format: 'bmp', width: int32(18), height: Math.abs(int32(22)) };
+        }
+        if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') {
+            const chunk = ascii(12, 4);
+            if (chunk === 'VP8 ') {
+                return { format: 'webp', width: uint16(26, true) & 0x3FFF, height: uint16(28, true) & 0x3FFF };
+            }
+            if (chunk === 'VP8L') {
+                const bits = int32(21);
+                return { format: 'webp', width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+            }
+            if (chunk === 'VP8X') {
+                return {
+                    format: 'webp',
+                    width: (at(24) | (at(25) << 8) | (at(26) << 16)) + 1,
+                    height: (at(27) | (at(28) << 8) | (at(29) << 16)) + 1
+                };
+            }
+            return { format: 'webp', width: null, height: null };
+        }
+        if (at(0) === 0xFF && at(1) === 0xD8) {
+            // Walk the JPEG segments to the frame header (SOF0-SOF15, except
+            // DHT, JPG and DAC which share the range)
+            let index = 2;
+            while (index + 9 < bytes.length) {
+                if (at(index) !== 0xFF) {
+                    index++;
+                    continue;
+                }
+                const marker = at(index + 1);
+                if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                    return { format: 'jpeg', width: uint16(index + 7), height: uint16(index + 5) };
+                }
+                if (marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7) || marker === 0xFF) {
+                    index += marker === 0xFF ? 1 : 2;
+                    continue;
+                }
+                index += 2 + uint16(index + 2);
+            }
+            return { format: 'jpeg', width: null, height: null };
+        }
+        return null;
+    }
+
+    function getHref(element) {
+        // [attribute name, value] of the image reference, SVG 2 href first
+        const name = ['href', 'xlink:href'].find(attribute => element.hasAttribute(attribute));
+        return name ? [name, element.getAttribute(name)] : [null, null];
+    }
+
+    function length(element, attribute) {
+        const value = numbers.parseNumber((element.getAttribute(attribute) || '').trim().replace(/px$/, ''));
+        return value !== null && value > 0 ? value : null;
+    }
+
+    function viewportScale(svg) {
+        // How many pixels one user unit of the root takes, where the root has
+        // both a size and a viewBox; 1 otherwise
+        const viewBox = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(numbers.parseNumber);
+        const width = length(svg, 'width');
+        const height = length(svg, 'height');
+        if (viewBox.length !== 4 || viewBox.some(value => value === null) || !(viewBox[2] > 0) || !(viewBox[3] > 0)) return 1;
+        if (width !== null && height !== null) return Math.min(width / viewBox[2], height / viewBox[3]);
+        if (width !== null) return width / viewBox[2];
+        if (height !== null) return height / viewBox[3];
+        return 1;
+    }
+
+    function renderedSize(element, intrinsic) {
+        // Roughly how many pixels the image covers at the file's own size:
+        // its width/height (or intrinsic size) through the ancestors'
+        // transforms and the root's viewBox. Nested viewports, patterns and
+        // <use> are not followed.
+        let width = length(element, 'width');
+        let height = length(element, 'height');
+        if (width === null && height === null) {
+            width = intrinsic.width;
+            height = intrinsic.height;
+        } else if (width === null || height === null) {
+            // One side given: the other follows the aspect ratio
+            const ratio = intrinsic.width && intrinsic.height ? intrinsic.width / intrinsic.height : 1;
+            if (width === null) width = height * ratio;
+            if (height === null) height = width / ratio;
+        }
+        if (!width || !height) return null;
+
+        let matrix = transform.IDENTITY;
+        for (let node = element; node && node.nodeType === xml.ELEMENT_NODE; node = node.parentNode) {
+            const parsed = node.hasAttribute('transform') ? transform.parseTransform(node.getAttribute('transform')) : null;
+            if (parsed) matrix = transform.multiply(parsed, matrix);
+        }
+        let svg = element;
+        while (svg.parentNode && svg.parentNode.nodeType === xml.ELEMENT_NODE) svg = svg.parentNode;
+        const scale = viewportScale(svg);
+
+        return {
+            width: Math.round(width * Math.hypot(matrix[0], matrix[1]) * scale),
+            height: Math.round(height * Math.hypot(matrix[2], matrix[3]) * scale)
+        };
+    }
+
+    function findRasters(svg) {
+        // Every <image> or <feImage> whose href is a raster data URI:
+        // [{ element, attribute, uri, mime, format, bytes, width, height,
+        // renderedWidth, renderedHeight }]. `bytes` is the decoded image size;
+        // the URI itself (uri.length) is a third larger when base64.
+        const images = [];
+        [svg].concat(xml.descendants(svg)).forEach(element => {
+            if (element.localName !== 'image' && element.localName !== 'feImage') return;
+            const [attribute, uri] = getHref(element);
+            const decoded = uri ? decodeDataUri(uri) : null;
+            if (!decoded || decoded.mime === 'image/svg+xml') return;
+
+            const size = imageSize(decoded.bytes) || { format: null, width: null, height: null };
+            const rendered = size.width && size.height ? renderedSize(element, size) : null;
+            images.push({
+                element,
+                attribute,
+                uri,
+                mime: decoded.mime,
+                format: size.format,
+                bytes: decoded.bytes.length,
+                width: size.width,
+                height: size.height,
+                renderedWidth: rendered ? rendered.width : null,
+                renderedHeight: rendered ? rendered.height : null
+            });
+        });
+        return images;
+    }
+
+    function describeRaster(image) {
+        // Plain-data copy for reports (no element, no URI)
+        return {
+            format: image.format ? FORMATS[image.format].label : image.mime,
+            mime: image.mime,
+            width: image.width,
+            height: image.height,
+            bytes: image.bytes,
+            uriLength: image.uri.length,
+            renderedWidth: image.renderedWidth,
+            renderedHeight: image.renderedHeight
+        };
+    }
+
+    function extractRasters(content, baseName) {
+        // Replaces each embedded image in the SVG markup `content` with a
+        // reference to a separate file named "<baseName>-image-<n>.<ext>".
+        // Returns { content, files: [{ name, bytes }] }; identical images
+        // share one file. The href is the file name percent-encoded, so
+        // "&", "#" or spaces in baseName stay part of the path.
+        const files = [];
+        const names = new Map();
+        const doc = xml.parseXML(content);
+        const images = findRasters(doc.documentElement);
+        if (images.length === 0) return { content, files };
+
+        images.forEach(image => {
+            if (!names.has(image.uri)) {
+                const format = FORMATS[image.format] || { extension: (image.mime.split('/')[1] || 'bin').replace(/\W.*$/, '') };
+                const name = `${baseName}-image-${files.length + 1}.${format.extension}`;
+                names.set(image.uri, name);
+                files.push({ name, bytes: decodeDataUri(image.uri).bytes });
+            }
+            image.element.setAttribute(image.attribute, encodeURIComponent(names.get(image.uri)));
+        });
+        return { content: xml.serializeXML(doc), files };
+    }
+
+    return {
+        DEFAULT_OPTIONS,
+        FORMATS,
+        decodeBase64,
+        decodeDataUri,
+        imageSize,
+        findRasters,
+        describeRaster,
+        extractRasters
+    };
+}));
@@ -0,0 +1,115 @@
+/**
+ * ID references inside a document.
+ *
+ * An element can be pointed at from url(#id) in any attribute or stylesheet,
+ * from href/xlink:href="#id", from ID lists such as aria-labelledby, from
+ * SMIL timing values (begin="intro.end") and from #id selectors in <style>.
+ * visitReferences() finds every one of them and lets the caller rename the
+ * target, so collecting and rewriting references share the same rules.
+ * renameIds() renames elements and their references together.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.references = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const URL_REFERENCE = /url\(\s*(['"]?)#([^'")]+?)\1\s*\)/g;
+
+    // Attributes holding a whitespace-separated list of IDs
+    const ID_LIST_ATTRIBUTES = [
+        'aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns',
+        'aria-flowto', 'aria-details', 'aria-errormessage', 'aria-activedescendant'
+    ];
+
+    const TIMING_ATTRIBUTES = ['begin', 'end'];
+
+    // "intro.end", "button.click+1s", "loop.repeat(2)"; plain offsets like "2s" have no dot
+    const TIMING_REFERENCE = /(^|;)(\s*)([^\s;.+-][^\s;+]*?)\.(begin|end|repeat\(\d+\)|[a-zA-Z]+)(?=[\s;+-]|$)/g;
+
+    function visitReferences(svg, callback) {
+        // Calls callback(id) for every reference and replaces the reference
+        // with whatever it returns (return the id unchanged to only collect)
+        [svg].concat(svg.querySelectorAll('*')).forEach(element => {
+            Array.from(element.attributes).forEach(attr => {
+                const value = rewriteAttribute(attr.name, attr.value, callback);
+                if (value !== attr.value) {
+                    element.setAttribute(attr.name, value);
+                }
+            });
+        });
+
+        svg.querySelectorAll('style').forEach(style => {
+            const css = style.textContent;
+            const value = rewriteStylesheet(css, callback);
+            if (value !== css) {
+                style.textContent = value;
+            }
+        });
+    }
+
+    function rewriteAttribute(name, value, callback) {
+        if (name === 'href' || name === 'xlink:href') {
+            return value.startsWith('#') && value.length > 1 ? '#' + callback(value.slice(1)) : value;
+        }
+
+        if (ID_LIST_ATTRIBUTES.includes(name)) {
+            return value.replace(/\S+/g, id => callback(id));
+        }
+
+        if (TIMING_ATTRIBUTES.includes(name)) {
+            return value.replace(TIMING_REFERENCE, (match, separator, space, id, event) => `${separator}${space}${callback(id)}.${event}`);
+        }
+
+        return rewriteUrls(value, callback);
+    }
+
+    function rewriteUrls(value, callback) {
+        if (!value.includes('url(')) return value;
+        return value.replace(URL_REFERENCE, (match, quote, id) => `url(${quote}#${callback(id)}${quote})`);
+    }
+
+    function rewriteStylesheet(css, callback) {
+        // url(#id) anywhere, #id only in selectors: a "#" followed by "{"
+        // before the next ";" or "}" is a selector, otherwise it is a colour
+        const withUrls = rewriteUrls(css, callback);
+        return withUrls.replace(/#(-?[_a-zA-Z\u00A0-\uFFFF][\w\u00A0-\uFFFF-]*)/g, (match, id, offset) => {
+            const rest = withUrls.slice(offset);
+            const end = rest.search(/[{};]/);
+            return end !== -1 && rest[end] === '{' ? '#' + callback(id) : match;
+        });
+    }
+
+    function renameIds(svg, mapping) {
+        // Apply an old -> new ID map to the elements and to every reference
+        if (mapping.size === 0) return;
+
+        svg.querySelectorAll('[id]').concat(svg.hasAttribute('id') ? [svg] : []).forEach(element => {
+            const id = element.getAttribute('id');
+            if (mapping.has(id)) {
+                element.setAttribute('id', mapping.get(id));
+            }
+        });
+
+        visitReferences(svg, id => (mapping.has(id) ? mapping.get(id) : id));
+    }
+
+    function collectReferencedIds(svg) {
+        const ids = new Set();
+        visitReferences(svg, id => {
+            ids.add(id);
+            return id;
+        });
+        return ids;
+    }
+
+    return {
+        visitReferences,
+        renameIds,
+        collectReferencedIds
+    };
+}));
@@ -0,0 +1,286 @@
+/**
+ * Removal of active content and external resource loads.
+ *
+ * Strips script-capable elements, event handler attributes, javascript: and
+ * other unsafe URLs, animations that could write such URLs, and anything that
+ * makes the file fetch a resource from elsewhere. Each removal is returned as a
+ * short description so callers can list exactly what was taken out.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.sanitize = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Elements that run code, embed other documents or host HTML
+    const ACTIVE_ELEMENTS = [
+        'script', 'foreignObject', 'iframe', 'embed', 'object', 'applet',
+        'handler', 'listener', 'audio', 'video', 'frame', 'frameset'
+    ];
+
+    // Attributes holding a URL that is followed or loaded
+    const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'data'];
+
+    const ANIMATION_ELEMENTS = ['set', 'animate', 'animateMotion', 'animateTransform', 'discard'];
+
+    // Inline data the browser decodes itself rather than fetching
+    const SAFE_DATA_URL = /^data:(image\/(png|jpe?g|gif|webp|avif|bmp|svg\+xml)|font\/[\w.+-]+|application\/(font-woff2?|x-font-[\w-]+))[;,]/;
+
+    // Where an SVG data URL is drawn as a static image. In <use> or <a> it
+    // is a document of its own, and its scripts could run.
+    const IMAGE_ELEMENTS = ['image', 'feImage'];
+
+    // CSS functions whose arguments, quoted or not, are loaded as URLs
+    const URL_FUNCTIONS = ['url', 'src', 'image-set', 'image', 'cross-fade'];
+
+    // CSS tokens that can hide a URL, matched at the current position
+    const CSS_COMMENT = /\/\*[\s\S]*?(?:\*\/|$)/y;
+    const CSS_STRING = /(["'])((?:\\[\s\S]|(?!\1)[^\\\n])*)(?:\1|$)/y;
+    const CSS_IDENT = /@?(?:[\w-]|[^\x00-\x7F]|\\[0-9a-fA-F]{1,6}[ \t\n]?|\\[^\n0-9a-fA-F])+/y;
+    const CSS_URL = /\(\s*((?:[^"'()\\\s]|\\[\s\S])*)\s*\)/y;
+
+    function localName(name) {
+        const index = name.indexOf(':');
+        return index === -1 ? name : name.slice(index + 1);
+    }
+
+    function normalizeUrl(value) {
+        // Browsers ignore whitespace and control characters inside a scheme,
+        // so "java\tscript:" still runs
+        return value.replace(/[\u0000- \u007F]+/g, '').toLowerCase();
+    }
+
+    function isAllowedUrl(value, allowUrls, allowSvgData = true) {
+        // allowSvgData: whether the URL can only be drawn as an image, so an
+        // SVG data URL cannot run scripts
+        const url = normalizeUrl(value);
+        if (url === '' || url.startsWith('#')) return true;
+        if (SAFE_DATA_URL.test(url) && (allowSvgData || !url.startsWith('data:image/svg+xml'))) return true;
+        return allowUrls.some(prefix => prefix && url.startsWith(normalizeUrl(prefix)));
+    }
+
+    function describe(value) {
+        const text = value.replace(/\s+/g, ' ').trim();
+        return text.length > 60 ? text.slice(0, 57) + '...' : text;
+    }
+
+    function unescapeCss(text) {
+        // "\\75 rl" is "url" to the CSS parser, so names and strings are
+        // compared after decoding escapes
+        return text.replace(/\\(?:([0-9a-fA-F]{1,6})[ \t\n]?|\n|([\s\S]))/g, (match, hex, char) =>
+            (hex ? String.fromCodePoint(parseInt(hex, 16) || 0xFFFD) : char || ''));
+    }
+
+    function sanitizeCss(css, allowUrls, onRemove) {
+        // Walks the CSS token by token, so quotes, escapes and parentheses
+        // cannot hide a URL. @import rules are dropped, and url(), src(),
+        // image-set() and the like pointing outside the file become none,
+        // whether the URL is quoted or not.
+        let output = '';
+        const open = []; // { name, start, blocked } for each open parenthesis
+        let importStart = -1;
+        let i = 0;
+
+        const match = pattern => {
+            pattern.lastIndex = i;
+            const found = pattern.exec(css);
+            return found && found[0] ? found : null;
+        };
+        const urlFunction = () => {
+            const enclosing = open[open.length - 1];
+            return enclosing && URL_FUNCTIONS.includes(enclosing.name) ? enclosing : null;
+        };
+        const block = (entry, url) => {
+            // An @import is reported once, as a whole
+            if (importStart === -1) onRemove(`${entry ? entry.name : 'url'}(${describe(url)})`);
+            if (entry) entry.blocked = true;
+        };
+        const close = () => {
+            // A function holding a blocked URL is replaced as a whole, and so
+            // is image-set() or the like around it
+            const entry = open.pop();
+            if (!entry.blocked) return;
+            output = output.slice(0, entry.start) + 'none';
+            const enclosing = urlFunction();
+            if (enclosing) enclosing.blocked = true;
+        };
+        const endImport = () => {
+            const rule = output.slice(importStart).replace(/^@\S*\s*/, '').replace(/;$/, '');
+            onRemove(`@import ${describe(unescapeCss(rule))}`);
+            output = output.slice(0, importStart);
+            importStart = -1;
+        };
+
+        while (i < css.length) {
+            let token;
+            if ((token = match(CSS_COMMENT))) {
+                output += token[0];
+            } else if ((token = match(CSS_STRING))) {
+                const entry = urlFunction();
+                const url = unescapeCss(token[2]);
+                if (entry && !isAllowedUrl(url, allowUrls)) {
+                    block(entry, url);
+                }
+                output += token[0];
+            } else if ((token = match(CSS_IDENT))) {
+                const name = unescapeCss(token[0]).toLowerCase();
+                i += token[0].length;
+                if (name === '@import' && importStart === -1 && open.length === 0) {
+                    importStart = output.length;
+                }
+                if (css[i] !== '(') {
+                    output += token[0];
+                    continue;
+                }
+                // Vendor prefixes load URLs the same way: -webkit-image-set()
+                const functionName = name.replace(/^-[a-z]+-/, '');
+                if (functionName === 'url' && match(CSS_URL)) {
+                    // Unquoted url(...) is a single token
+                    const found = match(CSS_URL);
+                    const url = unescapeCss(found[1]);
+                    i += found[0].length;
+                    if (importStart !== -1 || isAllowedUrl(url, allowUrls)) {
+                        // An @import goes as a whole once it ends
+                        output += token[0] + found[0];
+                    } else {
+                        block(urlFunction(), url);
+                        output += 'none';
+                    }
+                    continue;
+                }
+                open.push({ name: functionName, start: output.length, blocked: false });
+                output += token[0] + '(';
+                i++;
+                continue;
+            } else {
+                const char = css[i];
+                output += char;
+                if (char === '(') {
+                    open.push({ name: '', start: output.length - 1, blocked: false });
+                } else if (char === ')' && open.length > 0) {
+                    close();
+                } else if (char === ';' && importStart !== -1 && open.length === 0) {
+                    endImport();
+                }
+                i++;
+                continue;
+            }
+            i += token[0].length;
+        }
+
+        while (open.length > 0) close();
+        if (importStart !== -1) endImport();
+        return output;
+    }
+
+    function splitDeclarations(style) {
+        // Split on ";" outside quotes and parentheses, keeping each
+        // declaration as written
+        const declarations = [];
+        let depth = 0;
+        let quote = null;
+        let start = 0;
+        for (let i = 0; i < style.length; i++) {
+            const char = style[i];
+            if (char === '\\') {
+                i++;
+            } else if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')') {
+                depth = Math.max(0, depth - 1);
+            } else if (char === ';' && depth === 0) {
+                declarations.push(style.slice(start, i));
+                start = i + 1;
+            }
+        }
+        declarations.push(style.slice(start));
+        return declarations;
+    }
+
+    function sanitizeStyleAttribute(style, allowUrls, onRemove) {
+        // Unlike <style>, a declaration can simply be dropped
+        return splitDeclarations(style)
+            .filter(declaration => sanitizeCss(declaration, allowUrls, onRemove) === declaration)
+            .join(';');
+    }
+
+    function sanitizeTree(svg, allowlist = {}) {
+        // allowlist: { elements: [], attributes: [], urls: [] }. Returns the
+        // list of removals, e.g. ['<script>', 'onclick on <rect>'].
+        const allowElements = allowlist.elements || [];
+        const allowAttributes = allowlist.attributes || [];
+        const allowUrls = allowlist.urls || [];
+        const removed = [];
+
+        // Active elements go with their whole subtree
+        svg.querySelectorAll('*').forEach(element => {
+            const name = localName(element.tagName);
+            if (!element.parentNode || allowElements.includes(name)) return;
+
+            if (ACTIVE_ELEMENTS.includes(name)) {
+                removed.push(`<${element.tagName}>`);
+                element.remove();
+                return;
+            }
+
+            // An animation can set href to javascript: or add a handler later on
+            if (ANIMATION_ELEMENTS.includes(name)) {
+                const target = localName(element.getAttribute('attributeName') || '');
+                const values = ['to', 'from', 'values', 'by'].map(attr => element.getAttribute(attr) || '').join(';');
+                const writesUrl = URL_ATTRIBUTES.includes(target) && values.split(';').some(value => value.trim() && !isAllowedUrl(value.trim(), allowUrls, false));
+                if ((/^on/i.test(target) && !allowAttributes.includes(target)) || writesUrl) {
+                    removed.push(`<${element.tagName} attributeName="${target}">`);
+                    element.remove();
+                }
+            }
+        });
+
+        [svg].concat(svg.querySelectorAll('*')).forEach(element => {
+            Array.from(element.attributes).forEach(attr => {
+                const name = localName(attr.name);
+                if (allowAttributes.includes(attr.name) || attr.name.startsWith('xmlns')) return;
+
+                if (/^on/i.test(name)) {
+                    removed.push(`${attr.name} on <${element.tagName}>`);
+                    element.removeAttribute(attr.name);
+                } else if (URL_ATTRIBUTES.includes(name) && !isAllowedUrl(attr.value, allowUrls, IMAGE_ELEMENTS.includes(localName(element.tagName)))) {
+                    removed.push(`${attr.name}="${describe(attr.value)}" on <${element.tagName}>`);
+                    element.removeAttribute(attr.name);
+                } else if (name === 'style') {
+                    const value = sanitizeStyleAttribute(attr.value, allowUrls, what => removed.push(`${what} in style on <${element.tagName}>`));
+                    if (value !== attr.value) element.setAttribute(attr.name, value);
+                } else if (/url\(|\\/i.test(attr.value)) {
+                    // Presentation attributes such as fill="url(https://...#paint)",
+                    // parsed as CSS: case-insensitive and with escapes
+                    const value = sanitizeCss(attr.value, allowUrls, () => {});
+                    if (value !== attr.value) {
+                        removed.push(`${attr.name}="${describe(attr.value)}" on <${element.tagName}>`);
+                        element.removeAttribute(attr.name);
+                    }
+                }
+            });
+        });
+
+        svg.querySelectorAll('style').forEach(style => {
+            const css = style.textContent;
+            const value = sanitizeCss(css, allowUrls, what => removed.push(`${what} in <style>`));
+            if (value !== css) style.textContent = value;
+        });
+
+        return removed;
+    }
+
+    return {
+        ACTIVE_ELEMENTS,
+        isAllowedUrl,
+        sanitizeTree
+    };
+}));
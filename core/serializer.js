@@ -0,0 +1,198 @@
+/**
+ * Output formatting for cleaned documents.
+ *
+ * Writes the tree either minified (one line, whitespace between tags dropped)
+ * or pretty-printed with one element per line, so cleaned files committed to
+ * git give readable diffs. Indentation, attribute wrapping, attribute order,
+ * quote style and the XML declaration are all options.
+ *
+ * Character data inside <text> is content: it is never reindented, and
+ * whitespace under xml:space="preserve" or white-space: pre is written as is.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./xml'), require('./whitespace'));
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.serializer = factory(root.ScrubSVG.xml, root.ScrubSVG.whitespace);
+    }
+}(typeof self !== 'undefined' ? self : this, function (xml, whitespace) {
+    'use strict';
+
+    const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+    const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+
+    const DEFAULT_OPTIONS = {
+        pretty: false,
+        indent: 2, // Spaces per level, or 'tab'
+        wrapAttributes: 'auto', // 'auto' (past lineWidth), 'always' or 'never'
+        lineWidth: 80,
+        attributeOrder: 'source', // 'source', 'alphabetical' or 'canonical'
+        quote: '"',
+        xmlDeclaration: true
+    };
+
+    // "canonical" order: namespaces, identity, geometry, paint, then the long
+    // values (path data, points) last so they do not push the rest off screen
+    const CANONICAL_ORDER = [
+        'xmlns', 'xmlns:*', 'id', 'class', 'viewBox', 'width', 'height',
+        'x', 'x1', 'x2', 'y', 'y1', 'y2', 'cx', 'cy', 'r', 'rx', 'ry',
+        'fill', 'stroke', 'marker', '*', 'd', 'points'
+    ];
+
+    // Invisible characters editors leave behind
+    const ZERO_WIDTH = /[\u200B-\u200D\uFEFF]/g;
+
+    function resolveOptions(options = {}) {
+        return Object.assign({}, DEFAULT_OPTIONS, options);
+    }
+
+    function attributeRank(name) {
+        const exact = CANONICAL_ORDER.indexOf(name);
+        if (exact !== -1) return exact;
+        if (name.startsWith('xmlns:')) return CANONICAL_ORDER.indexOf('xmlns:*');
+        return CANONICAL_ORDER.indexOf('*');
+    }
+
+    function orderAttributes(attributes, order) {
+        // Array.prototype.sort is stable, so ties keep their source order
+        if (order === 'alphabetical') {
+            const rank = name => (name === 'xmlns' ? 0 : name.startsWith('xmlns:') ? 1 : 2);
+            return attributes.slice().sort((a, b) => rank(a.name) - rank(b.name) || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+        }
+        if (order === 'canonical') {
+            return attributes.slice().sort((a, b) => attributeRank(a.name) - attributeRank(b.name));
+        }
+        return attributes;
+    }
+
+    function collapse(text) {
+        return text.replace(ZERO_WIDTH, '').replace(/[ \t\n\r]+/g, ' ');
+    }
+
+    function textData(node) {
+        // Rendered text keeps every character; only whitespace that collapses
+        // anyway is shortened. Preserved whitespace and scripts are left alone.
+        if (whitespace.isVerbatim(node)) return node.data;
+        if (whitespace.isInText(node)) {
+            return whitespace.preservesWhitespace(node) ? node.data : whitespace.collapseWhitespace(node.data);
+        }
+        return collapse(node.data);
+    }
+
+    function collapseAttribute(value) {
+        // Tabs and newlines in a parsed value came from character references
+        // (&#9;, &#10;) and are kept; runs of spaces are not significant
+        return value.replace(ZERO_WIDTH, '').replace(/ {2,}/g, ' ');
+    }
+
+    function isText(node) {
+        return node.nodeType === xml.TEXT_NODE || node.nodeType === xml.CDATA_SECTION_NODE;
+    }
+
+    function isIgnorable(node) {
+        // Whitespace between elements, which only renders inside <text>
+        return node.nodeType === xml.TEXT_NODE && !collapse(node.data).trim() && !whitespace.isInText(node);
+    }
+
+    function serializeAttributes(element, options, isRoot) {
+        let attributes = element.attributes;
+        // A standalone file needs the SVG namespace on its root
+        if (isRoot && !element.hasAttribute('xmlns')) {
+            attributes = [{ name: 'xmlns', value: SVG_NAMESPACE }].concat(attributes);
+        }
+
+        const quote = options.quote === "'" ? "'" : '"';
+        return orderAttributes(attributes, options.attributeOrder)
+            .map(attr => `${attr.name}=${quote}${xml.escapeAttribute(collapseAttribute(attr.value), quote)}${quote}`);
+    }
+
+    function serializeNode(node, options) {
+        // Minified form of a node and everything inside it
+        switch (node.nodeType) {
+            case xml.ELEMENT_NODE: {
+                const attributes = serializeAttributes(node, options, node === options.root).map(attr => ' ' + attr).join('');
+                const children = node.childNodes.filter(child => !isIgnorable(child));
+                if (children.length === 0) {
+                    return `<${node.tagName}${attributes}/>`;
+                }
+                return `<${node.tagName}${attributes}>${children.map(child => serializeNode(child, options)).join('')}</${node.tagName}>`;
+            }
+            case xml.TEXT_NODE:
+                return xml.escapeText(textData(node));
+            case xml.CDATA_SECTION_NODE:
+                return `<![CDATA[${textData(node)}]]>`;
+            case xml.COMMENT_NODE:
+                return `<!--${collapse(node.data)}-->`;
+            case xml.PROCESSING_INSTRUCTION_NODE:
+                return `<?${node.target}${node.data ? ' ' + collapse(node.data) : ''}?>`;
+            default:
+                return '';
+        }
+    }
+
+    function prettyNode(node, options, depth) {
+        // Returns the lines for one node. Elements holding text, and <text>
+        // with everything in it, stay on one line, since breaking them would
+        // add whitespace to the rendered text.
+        const indent = options.indentUnit.repeat(depth);
+
+        if (node.nodeType !== xml.ELEMENT_NODE) {
+            const text = serializeNode(node, options).trim();
+            return text ? [indent + text] : [];
+        }
+
+        const attributes = serializeAttributes(node, options, node === options.root);
+        const children = node.childNodes.filter(child => !isIgnorable(child));
+        const hasText = children.some(isText) || whitespace.isInText(node);
+        const end = children.length === 0 ? '/>' : '>';
+
+        const singleLine = `${indent}<${node.tagName}${attributes.map(attr => ' ' + attr).join('')}${end}`;
+        const wrap = attributes.length > 1 && (options.wrapAttributes === 'always' ||
+            (options.wrapAttributes === 'auto' && singleLine.length > options.lineWidth));
+
+        let lines;
+        if (wrap) {
+            const attributeIndent = indent + options.indentUnit;
+            lines = [`${indent}<${node.tagName}`]
+                .concat(attributes.map(attr => attributeIndent + attr));
+            lines[lines.length - 1] += end;
+        } else {
+            lines = [singleLine];
+        }
+
+        if (children.length === 0) {
+            return lines;
+        }
+
+        if (hasText) {
+            lines[lines.length - 1] += children.map(child => serializeNode(child, options)).join('') + `</${node.tagName}>`;
+            return lines;
+        }
+
+        children.forEach(child => {
+            lines.push(...prettyNode(child, options, depth + 1));
+        });
+        lines.push(`${indent}</${node.tagName}>`);
+        return lines;
+    }
+
+    function serializeSVG(svg, options = {}) {
+        // Serialize the root element; options as in DEFAULT_OPTIONS
+        const settings = resolveOptions(options);
+        settings.root = svg;
+        settings.indentUnit = settings.indent === 'tab' ? '\t' : ' '.repeat(Math.max(0, parseInt(settings.indent, 10) || 0));
+
+        const body = settings.pretty
+            ? prettyNode(svg, settings, 0).join('\n') + '\n'
+            : serializeNode(svg, settings);
+
+        return settings.xmlDeclaration ? `${XML_DECLARATION}\n${body}` : body;
+    }
+
+    return {
+        DEFAULT_OPTIONS,
+        serializeSVG
+    };
+}));
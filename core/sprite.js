@@ -0,0 +1,205 @@
+/**
+ * Sprite sheets built from a batch of cleaned files.
+ *
+ * Each file becomes a <symbol> named after the file and keeping its viewBox.
+ * IDs inside a file, and class names in files with a stylesheet, are
+ * prefixed with the symbol ID, and definitions such as gradients are moved to
+ * one shared <defs>, so icons that all used "a", "gradient1" or ".cls-1" no
+ * longer clash once they live in the same document.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./xml'), require('./references'), require('./cleaner'));
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.sprite = factory(root.ScrubSVG.xml, root.ScrubSVG.references, root.ScrubSVG.cleaner);
+    }
+}(typeof self !== 'undefined' ? self : this, function (xml, references, cleaner) {
+    'use strict';
+
+    const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+    // Root attributes that size or position the file itself, not its content
+    const ROOT_ONLY_ATTRIBUTES = ['width', 'height', 'x', 'y', 'viewBox', 'id', 'version', 'baseProfile', 'enable-background'];
+
+    // Never rendered in place, so safe to move to the shared <defs>
+    const DEFINITION_ELEMENTS = ['linearGradient', 'radialGradient', 'pattern', 'clipPath', 'mask', 'filter', 'marker'];
+
+    function symbolId(fileName) {
+        // "icons/Arrow Left.svg" -> "Arrow-Left"; IDs must start with a letter
+        const id = fileName.replace(/^.*[\\/]/, '').replace(/\.svg$/i, '')
+            .replace(/[^a-zA-Z0-9_-]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+        return /^[a-zA-Z]/.test(id) ? id : `icon-${id || 'symbol'}`;
+    }
+
+    function uniqueId(id, taken) {
+        let unique = id;
+        for (let n = 2; taken.has(unique); n++) {
+            unique = `${id}-${n}`;
+        }
+        taken.add(unique);
+        return unique;
+    }
+
+    function getViewBox(svg) {
+        // Files sized only by width/height get the matching viewBox
+        const viewBox = svg.getAttribute('viewBox');
+        if (viewBox) return viewBox.trim();
+
+        const width = parseFloat(svg.getAttribute('width'));
+        const height = parseFloat(svg.getAttribute('height'));
+        return width > 0 && height > 0 ? `0 0 ${width} ${height}` : null;
+    }
+
+    function prefixClasses(svg, prefix) {
+        // Stylesheets in a sprite all apply to the whole document, so
+        // Illustrator's ".cls-1" in one icon would restyle every other icon.
+        // Each class becomes "<symbol id>-cls-1", in class attributes and in
+        // selectors: a "." followed by "{" before the next ";" or "}".
+        const styles = svg.querySelectorAll('style');
+        if (styles.length === 0) return;
+
+        const elements = [svg].concat(svg.querySelectorAll('[class]')).filter(element => element.hasAttribute('class'));
+        const names = new Set();
+        elements.forEach(element => {
+            const classes = element.getAttribute('class').split(/\s+/).filter(Boolean);
+            classes.forEach(name => names.add(name));
+            element.setAttribute('class', classes.map(name => `${prefix}-${name}`).join(' '));
+        });
+
+        styles.forEach(style => {
+            const css = style.textContent;
+            const value = css.replace(/\.(-?[_a-zA-Z\u00A0-\uFFFF][\w\u00A0-\uFFFF-]*)/g, (match, name, offset) => {
+                if (!names.has(name)) return match;
+                const rest = css.slice(offset);
+                const end = rest.search(/[{};]/);
+                return end !== -1 && rest[end] === '{' ? `.${prefix}-${name}` : match;
+            });
+            if (value !== css) style.textContent = value;
+        });
+    }
+
+    function buildSprite(files) {
+        // files: [{ name, content }]. Returns { content, symbols } where
+        // symbols lists { id, name, viewBox } in file order.
+        const parsed = files.map(file => ({ name: file.name, svg: cleaner.parseSVG(file.content) }));
+
+        // Symbol IDs are claimed first so no prefixed internal ID can take one
+        const taken = new Set();
+        parsed.forEach(entry => {
+            entry.id = uniqueId(symbolId(entry.name), taken);
+        });
+
+        const namespaces = new Map();
+        const defs = new xml.XMLElement('defs');
+        const symbols = [];
+
+        parsed.forEach(({ svg, id, name }) => {
+            const mapping = new Map();
+            if (svg.hasAttribute('id')) {
+                // Anything pointing at the old root now points at the symbol
+                mapping.set(svg.getAttribute('id'), id);
+            }
+            svg.querySelectorAll('[id]').forEach(element => {
+                const oldId = element.getAttribute('id');
+                if (!mapping.has(oldId)) {
+                    mapping.set(oldId, uniqueId(`${id}-${oldId}`, taken));
+                }
+            });
+            references.renameIds(svg, mapping);
+            prefixClasses(svg, id);
+
+            const symbol = new xml.XMLElement('symbol');
+            symbol.setAttribute('id', id);
+            const viewBox = getViewBox(svg);
+            if (viewBox) {
+                symbol.setAttribute('viewBox', viewBox);
+            }
+
+            svg.attributes.forEach(attr => {
+                if (attr.name.startsWith('xmlns:')) {
+                    if (!namespaces.has(attr.name)) namespaces.set(attr.name, attr.value);
+                } else if (attr.name !== 'xmlns' && !ROOT_ONLY_ATTRIBUTES.includes(attr.name)) {
+                    // Presentation attributes, class, style and ARIA carry over
+                    symbol.setAttribute(attr.name, attr.value);
+                }
+            });
+
+            // Gradients, clip paths and the like are not rendered reliably
+            // from inside a <symbol>, so they join the shared <defs>
+            svg.querySelectorAll('defs').forEach(element => {
+                element.children.forEach(child => defs.appendChild(child));
+                element.remove();
+            });
+            svg.querySelectorAll(DEFINITION_ELEMENTS.join(',')).forEach(element => {
+                if (element.parentNode !== defs) defs.appendChild(element);
+            });
+
+            svg.childNodes.slice().forEach(child => symbol.appendChild(child));
+            symbols.push({ id, name, viewBox, element: symbol });
+        });
+
+        const attributes = [`xmlns="${SVG_NAMESPACE}"`]
+            .concat(Array.from(namespaces, ([name, value]) => `${name}="${xml.escapeAttribute(value)}"`));
+        const lines = [`<svg ${attributes.join(' ')}>`];
+        if (defs.children.length > 0) {
+            lines.push(xml.serializeXML(defs));
+        }
+        symbols.forEach(symbol => lines.push(xml.serializeXML(symbol.element)));
+        lines.push('</svg>');
+
+        return {
+            content: '<?xml version="1.0" encoding="UTF-8"?>\n' + lines.join('\n') + '\n',
+            symbols: symbols.map(({ id, name, viewBox }) => ({ id, name, viewBox }))
+        };
+    }
+
+    function buildPreviewPage(sprite, title = 'SVG sprite') {
+        // A standalone page with the sprite inlined and a card per icon showing
+        // its <use> snippet. The sprite is hidden by size, not display: none,
+        // which would stop gradients inside it from rendering.
+        const inline = sprite.content.replace(/^<\?xml[^>]*\?>\s*/, '')
+            .replace('<svg ', '<svg aria-hidden="true" style="position: absolute; width: 0; height: 0; overflow: hidden" ');
+
+        const cards = sprite.symbols.map(symbol => {
+            const snippet = `<svg><use href="#${symbol.id}"/></svg>`;
+            return `    <figure>
+        <svg class="icon"${symbol.viewBox ? ` viewBox="${xml.escapeAttribute(symbol.viewBox)}"` : ''}><use href="#${symbol.id}"/></svg>
+        <figcaption>${xml.escapeText(symbol.name)}</figcaption>
+        <code>${xml.escapeText(snippet)}</code>
+    </figure>`;
+        });
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${xml.escapeText(title)}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 24px; color: #1f2937; }
+    main { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 12px; }
+    figure { margin: 0; padding: 16px 8px; border: 1px solid #e2e8f0; border-radius: 8px; text-align: center; }
+    .icon { width: 48px; height: 48px; }
+    figcaption { margin: 8px 0 4px; font-size: 0.85em; word-break: break-all; }
+    code { display: block; font-size: 0.75em; color: #475569; user-select: all; word-break: break-all; }
+</style>
+</head>
+<body>
+${inline}
+<h1>${xml.escapeText(title)}</h1>
+<p>${sprite.symbols.length} symbol${sprite.symbols.length === 1 ? '' : 's'}. Inline the sprite in the page, or reference an external file with <code>&lt;use href="sprite.svg#id"/&gt;</code>.</p>
+<main>
+${cards.join('\n')}
+</main>
+</body>
+</html>
+`;
+    }
+
+    return {
+        symbolId,
+        buildSprite,
+        buildPreviewPage
+    };
+}));
@@ -0,0 +1,102 @@
+/**
+ * What each cleaning pass saved.
+ *
+ * The tree is serialized and counted after every pass, so the report can
+ * say how many bytes, elements and attributes each pass took out. Whatever
+ * the passes do not account for (whitespace, comments outside the root,
+ * number formatting on output) is credited to the output step, so the
+ * breakdown always adds up to the real difference between the two files.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./xml'), require('./serializer'));
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.stats = factory(root.ScrubSVG.xml, root.ScrubSVG.serializer);
+    }
+}(typeof self !== 'undefined' ? self : this, function (xml, serializer) {
+    'use strict';
+
+    // Name of the entry for everything the serializer itself saves
+    const OUTPUT_STEP = 'output';
+
+    function utf8Length(text) {
+        // Byte length as UTF-8, which is what gets stored and served
+        let bytes = 0;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            if (code < 0x80) {
+                bytes += 1;
+            } else if (code < 0x800) {
+                bytes += 2;
+            } else if (code >= 0xD800 && code <= 0xDBFF && i + 1 < text.length) {
+                // A surrogate pair is one 4-byte character
+                bytes += 4;
+                i++;
+            } else {
+                bytes += 3;
+            }
+        }
+        return bytes;
+    }
+
+    function measure(svg, output) {
+        const elements = [svg].concat(xml.descendants(svg));
+        return {
+            bytes: utf8Length(serializer.serializeSVG(svg, output)),
+            elements: elements.length,
+            attributes: elements.reduce((count, element) => count + element.attributes.length, 0)
+        };
+    }
+
+    function createPassStats(svg, output) {
+        // Call record(passName) after each pass, then result(originalBytes,
+        // cleanedBytes) for [{ name, bytesSaved, elementsRemoved, attributesRemoved }]
+        const start = measure(svg, output);
+        let previous = start;
+        const passes = [];
+
+        function record(name) {
+            const current = measure(svg, output);
+            passes.push({
+                name,
+                bytesSaved: previous.bytes - current.bytes,
+                elementsRemoved: previous.elements - current.elements,
+                attributesRemoved: previous.attributes - current.attributes
+            });
+            previous = current;
+        }
+
+        function result(originalBytes, cleanedBytes) {
+            const byPasses = passes.reduce((sum, pass) => sum + pass.bytesSaved, 0);
+            return passes.concat({
+                name: OUTPUT_STEP,
+                bytesSaved: (originalBytes - cleanedBytes) - byPasses,
+                elementsRemoved: 0,
+                attributesRemoved: 0
+            });
+        }
+
+        return { record, result };
+    }
+
+    function sumPasses(lists) {
+        // Batch totals: the per-pass entries of several files added up by name
+        const totals = new Map();
+        lists.forEach(list => (list || []).forEach(pass => {
+            const total = totals.get(pass.name) || { name: pass.name, bytesSaved: 0, elementsRemoved: 0, attributesRemoved: 0 };
+            total.bytesSaved += pass.bytesSaved;
+            total.elementsRemoved += pass.elementsRemoved;
+            total.attributesRemoved += pass.attributesRemoved;
+            totals.set(pass.name, total);
+        }));
+        return Array.from(totals.values());
+    }
+
+    return {
+        OUTPUT_STEP,
+        utf8Length,
+        createPassStats,
+        sumPasses
+    };
+}));
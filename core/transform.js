@@ -0,0 +1,181 @@
+/**
+ * Transform lists as affine matrices.
+ *
+ * Matrices use the SVG order [a, b, c, d, e, f], i.e. x' = a*x + c*y + e and
+ * y' = b*x + d*y + f.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./numbers'));
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.transform = factory(root.ScrubSVG.numbers);
+    }
+}(typeof self !== 'undefined' ? self : this, function (numbers) {
+    'use strict';
+
+    const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+    // Allowed argument counts per transform function
+    const ARITY = {
+        matrix: [6],
+        translate: [1, 2],
+        scale: [1, 2],
+        rotate: [1, 3],
+        skewX: [1],
+        skewY: [1]
+    };
+
+    const EPSILON = 1e-10;
+
+    function multiply(m1, m2) {
+        return [
+            m1[0] * m2[0] + m1[2] * m2[1],
+            m1[1] * m2[0] + m1[3] * m2[1],
+            m1[0] * m2[2] + m1[2] * m2[3],
+            m1[1] * m2[2] + m1[3] * m2[3],
+            m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+            m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+        ];
+    }
+
+    function functionToMatrix(name, args) {
+        switch (name) {
+            case 'matrix':
+                return args.slice();
+            case 'translate':
+                return [1, 0, 0, 1, args[0], args[1] || 0];
+            case 'scale':
+                return [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0];
+            case 'rotate': {
+                const radians = args[0] * Math.PI / 180;
+                const cos = Math.cos(radians);
+                const sin = Math.sin(radians);
+                const rotation = [cos, sin, -sin, cos, 0, 0];
+                if (args.length === 3) {
+                    // rotate(a cx cy) = translate(cx cy) rotate(a) translate(-cx -cy)
+                    return multiply(multiply([1, 0, 0, 1, args[1], args[2]], rotation), [1, 0, 0, 1, -args[1], -args[2]]);
+                }
+                return rotation;
+            }
+            case 'skewX':
+                return [1, 0, Math.tan(args[0] * Math.PI / 180), 1, 0, 0];
+            case 'skewY':
+                return [1, Math.tan(args[0] * Math.PI / 180), 0, 1, 0, 0];
+            default:
+                return null;
+        }
+    }
+
+    function parseTransform(value) {
+        // Returns the combined matrix of a transform list, or null when it is malformed
+        const pattern = /\s*(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)\s*,?/y;
+        let matrix = IDENTITY;
+        let pos = 0;
+        const text = value.trim();
+
+        while (pos < text.length) {
+            pattern.lastIndex = pos;
+            const match = pattern.exec(text);
+            if (!match) return null;
+            pos = pattern.lastIndex;
+
+            const args = match[2].trim() === '' ? [] : match[2].trim().split(/\s*,\s*|\s+/).map(numbers.parseNumber);
+            if (args.some(arg => arg === null) || !ARITY[match[1]].includes(args.length)) {
+                return null;
+            }
+
+            matrix = multiply(matrix, functionToMatrix(match[1], args));
+        }
+
+        return matrix;
+    }
+
+    function isIdentity(matrix, epsilon = EPSILON) {
+        return matrix.every((value, i) => Math.abs(value - IDENTITY[i]) < epsilon);
+    }
+
+    function isAxisAligned(matrix, epsilon = EPSILON) {
+        return Math.abs(matrix[1]) < epsilon && Math.abs(matrix[2]) < epsilon;
+    }
+
+    function uniformScale(matrix, epsilon = 1e-9) {
+        // Scale factor of a similarity transform (rotation, reflection,
+        // uniform scale, translation), or null when the matrix distorts shapes
+        const [a, b, c, d] = matrix;
+        const scaleX = Math.hypot(a, b);
+        const scaleY = Math.hypot(c, d);
+        const tolerance = epsilon * Math.max(1, scaleX);
+        if (Math.abs(scaleX - scaleY) > tolerance || Math.abs(a * c + b * d) > tolerance * scaleX) {
+            return null;
+        }
+        return scaleX;
+    }
+
+    function formatArgs(values, precision) {
+        return values.map(value => numbers.formatNumber(value, precision)).join(' ');
+    }
+
+    function matrixToTransform(matrix, precision = 3) {
+        // Returns the shortest transform list that reproduces `matrix` at the
+        // given precision. Linear parts keep two extra digits because errors
+        // there are multiplied by coordinates. A precision that is not a
+        // number (null, or NaN from a bad setting) keeps every digit.
+        const [a, b, c, d, e, f] = matrix;
+        const rounds = Number.isFinite(precision);
+        if (!rounds) precision = null;
+        const linearPrecision = rounds ? precision + 2 : null;
+        const candidates = [];
+        const translate = e !== 0 || f !== 0
+            ? `translate(${formatArgs(Math.abs(f) < EPSILON ? [e] : [e, f], precision)})`
+            : '';
+
+        if (isAxisAligned(matrix)) {
+            const scale = Math.abs(a - d) < EPSILON ? [a] : [a, d];
+            const scalePart = Math.abs(a - 1) < EPSILON && Math.abs(d - 1) < EPSILON
+                ? ''
+                : `scale(${formatArgs(scale, linearPrecision)})`;
+            candidates.push(translate + scalePart);
+        }
+
+        const scale = uniformScale(matrix);
+        if (scale !== null && Math.abs(scale - 1) < EPSILON && a * d - b * c > 0) {
+            const angle = Math.atan2(b, a) * 180 / Math.PI;
+            if (e === 0 && f === 0) {
+                candidates.push(`rotate(${formatArgs([angle], linearPrecision)})`);
+            } else {
+                // Rotation about a centre: solve (I - R) * centre = translation
+                const determinant = (1 - a) * (1 - d) - b * c;
+                if (Math.abs(determinant) > EPSILON) {
+                    const cx = ((1 - d) * e + c * f) / determinant;
+                    const cy = (b * e + (1 - a) * f) / determinant;
+                    candidates.push(`rotate(${formatArgs([angle], linearPrecision)} ${formatArgs([cx, cy], precision)})`);
+                }
+                candidates.push(`${translate}rotate(${formatArgs([angle], linearPrecision)})`);
+            }
+        }
+
+        candidates.push(`matrix(${formatArgs([a, b, c, d], linearPrecision)} ${formatArgs([e, f], precision)})`);
+
+        // Keep only candidates that still describe the same matrix after rounding
+        const tolerance = rounds ? Math.pow(10, -precision) : EPSILON;
+        const valid = candidates.filter(candidate => {
+            const parsed = candidate === '' ? IDENTITY : parseTransform(candidate);
+            return parsed && parsed.every((value, i) => Math.abs(value - matrix[i]) <= tolerance);
+        });
+
+        // The unrounded matrix() is always right, should nothing else be
+        return valid.reduce((shortest, candidate) => (candidate.length < shortest.length ? candidate : shortest),
+            `matrix(${formatArgs(matrix, null)})`);
+    }
+
+    return {
+        IDENTITY,
+        multiply,
+        parseTransform,
+        isIdentity,
+        isAxisAligned,
+        uniformScale,
+        matrixToTransform
+    };
+}));
@@ -0,0 +1,87 @@
+/**
+ * Where whitespace in a document is significant.
+ *
+ * Inside <text> whitespace renders: a space between "Step 1:" and a <tspan>
+ * is visible, and xml:space="preserve" or CSS white-space: pre keeps every
+ * space and newline. Elsewhere, whitespace between elements never renders,
+ * whatever xml:space says. Script content is code and is kept verbatim.
+ * The cleaning passes and the serializer both ask this module before they
+ * drop or collapse character data.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.whitespace = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // white-space values that keep spaces or newlines as written
+    const PRESERVING_VALUES = ['pre', 'pre-wrap', 'pre-line', 'break-spaces'];
+
+    // Character data that is code, where a newline can change the meaning
+    const VERBATIM_ELEMENTS = ['script'];
+
+    // XML whitespace; other spaces such as U+00A0 are content
+    const XML_WHITESPACE = /[ \t\n\r]+/g;
+
+    function isElement(node) {
+        return node && node.nodeType === 1;
+    }
+
+    function ownWhiteSpace(element) {
+        // The element's own setting: the style property wins over the
+        // presentation attribute, which wins over xml:space
+        const style = element.getAttribute('style') || '';
+        const match = style.match(/(?:^|;)\s*white-space\s*:\s*([\w-]+)/i);
+        if (match) return match[1].toLowerCase();
+
+        const attribute = element.getAttribute('white-space');
+        if (attribute) return attribute.trim().toLowerCase();
+
+        const space = element.getAttribute('xml:space');
+        if (space === 'preserve') return 'pre';
+        if (space === 'default') return 'normal';
+        return null;
+    }
+
+    function preservesWhitespace(node) {
+        // True when rendered whitespace in this node, or text directly inside
+        // it, must be kept exactly. The setting is inherited from the nearest
+        // ancestor.
+        for (let element = isElement(node) ? node : node.parentNode; isElement(element); element = element.parentNode) {
+            const value = ownWhiteSpace(element);
+            if (value && value !== 'inherit') return PRESERVING_VALUES.includes(value);
+        }
+        return false;
+    }
+
+    function isVerbatim(node) {
+        // Inside an element whose character data is code
+        for (let element = isElement(node) ? node : node.parentNode; isElement(element); element = element.parentNode) {
+            if (VERBATIM_ELEMENTS.includes(element.tagName)) return true;
+        }
+        return false;
+    }
+
+    function isInText(node) {
+        // Inside a <text> element, where character data is rendered
+        for (let element = isElement(node) ? node : node.parentNode; isElement(element); element = element.parentNode) {
+            if (element.tagName === 'text') return true;
+        }
+        return false;
+    }
+
+    function collapseWhitespace(value) {
+        return value.replace(XML_WHITESPACE, ' ');
+    }
+
+    return {
+        preservesWhitespace,
+        isVerbatim,
+        isInText,
+        collapseWhitespace
+    };
+}));
@@ -0,0 +1,660 @@
+/**
+ * Minimal XML document model, parser and serializer.
+ *
+ * The cleaning passes only need a small part of the DOM API, and the browser's
+ * DOMParser/XMLSerializer are not available under Node or inside Web Workers.
+ * This module implements that subset in plain JavaScript so the same code
+ * produces the same output everywhere.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.xml = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const ELEMENT_NODE = 1;
+    const TEXT_NODE = 3;
+    const CDATA_SECTION_NODE = 4;
+    const PROCESSING_INSTRUCTION_NODE = 7;
+    const COMMENT_NODE = 8;
+    const DOCUMENT_NODE = 9;
+    const DOCUMENT_TYPE_NODE = 10;
+
+    const PREDEFINED_ENTITIES = {
+        lt: '<',
+        gt: '>',
+        amp: '&',
+        quot: '"',
+        apos: "'"
+    };
+
+    // Guards against "billion laughs" style entity expansion
+    const MAX_ENTITY_EXPANSION = 1000000;
+
+    const NAME_PATTERN = /[A-Za-z_:\u00C0-\uFFFF][\w.:\-\u00B7\u00C0-\uFFFF]*/y;
+
+    class XMLNode {
+        constructor(nodeType) {
+            this.nodeType = nodeType;
+            this.parentNode = null;
+        }
+
+        get nextSibling() {
+            if (!this.parentNode) return null;
+            const siblings = this.parentNode.childNodes;
+            return siblings[siblings.indexOf(this) + 1] || null;
+        }
+
+        get previousSibling() {
+            if (!this.parentNode) return null;
+            const siblings = this.parentNode.childNodes;
+            return siblings[siblings.indexOf(this) - 1] || null;
+        }
+
+        remove() {
+            if (this.parentNode) {
+                this.parentNode.removeChild(this);
+            }
+        }
+    }
+
+    class XMLCharacterData extends XMLNode {
+        constructor(nodeType, data) {
+            super(nodeType);
+            this.data = data;
+        }
+
+        get nodeValue() {
+            return this.data;
+        }
+
+        set nodeValue(value) {
+            this.data = value;
+        }
+
+        get textContent() {
+            return this.data;
+        }
+
+        set textContent(value) {
+            this.data = value;
+        }
+
+        cloneNode() {
+            return new this.constructor(this.data);
+        }
+    }
+
+    class XMLText extends XMLCharacterData {
+        constructor(data) {
+            super(TEXT_NODE, data);
+        }
+    }
+
+    class XMLCDataSection extends XMLCharacterData {
+        constructor(data) {
+            super(CDATA_SECTION_NODE, data);
+        }
+    }
+
+    class XMLComment extends XMLCharacterData {
+        constructor(data) {
+            super(COMMENT_NODE, data);
+        }
+    }
+
+    class XMLProcessingInstruction extends XMLNode {
+        constructor(target, data) {
+            super(PROCESSING_INSTRUCTION_NODE);
+            this.target = target;
+            this.data = data;
+        }
+
+        cloneNode() {
+            return new XMLProcessingInstruction(this.target, this.data);
+        }
+    }
+
+    class XMLDocumentType extends XMLNode {
+        constructor(source) {
+            super(DOCUMENT_TYPE_NODE);
+            // The declaration is kept verbatim, e.g. 'svg PUBLIC "..." "..." [...]'
+            this.source = source;
+        }
+
+        cloneNode() {
+            return new XMLDocumentType(this.source);
+        }
+    }
+
+    class XMLParent extends XMLNode {
+        constructor(nodeType) {
+            super(nodeType);
+            this.childNodes = [];
+        }
+
+        get children() {
+            return this.childNodes.filter(node => node.nodeType === ELEMENT_NODE);
+        }
+
+        get firstChild() {
+            return this.childNodes[0] || null;
+        }
+
+        get lastChild() {
+            return this.childNodes[this.childNodes.length - 1] || null;
+        }
+
+        get firstElementChild() {
+            return this.children[0] || null;
+        }
+
+        get textContent() {
+            let text = '';
+            walk(this, node => {
+                if (node.nodeType === TEXT_NODE || node.nodeType === CDATA_SECTION_NODE) {
+                    text += node.data;
+                }
+            });
+            return text;
+        }
+
+        set textContent(value) {
+            this.childNodes.forEach(node => {
+                node.parentNode = null;
+            });
+            this.childNodes = [];
+            if (value) {
+                this.appendChild(new XMLText(String(value)));
+            }
+        }
+
+        appendChild(node) {
+            return this.insertBefore(node, null);
+        }
+
+        insertBefore(node, referenceNode) {
+            // As in the DOM, inserting a node before itself leaves it in place
+            if (referenceNode === node) {
+                referenceNode = node.nextSibling;
+            }
+            if (node.parentNode) {
+                node.parentNode.removeChild(node);
+            }
+
+            const index = referenceNode ? this.childNodes.indexOf(referenceNode) : -1;
+            if (index === -1) {
+                this.childNodes.push(node);
+            } else {
+                this.childNodes.splice(index, 0, node);
+            }
+            node.parentNode = this;
+            return node;
+        }
+
+        removeChild(node) {
+            const index = this.childNodes.indexOf(node);
+            if (index !== -1) {
+                this.childNodes.splice(index, 1);
+                node.parentNode = null;
+            }
+            return node;
+        }
+
+        replaceChild(newNode, oldNode) {
+            this.insertBefore(newNode, oldNode);
+            return this.removeChild(oldNode);
+        }
+
+        querySelectorAll(selector) {
+            const matchers = parseSelector(selector);
+            return descendants(this).filter(element => matchers.some(matcher => matcher(element)));
+        }
+
+        querySelector(selector) {
+            return this.querySelectorAll(selector)[0] || null;
+        }
+    }
+
+    class XMLElement extends XMLParent {
+        constructor(tagName) {
+            super(ELEMENT_NODE);
+            this.tagName = tagName;
+            // Ordered list of { name, value }, names are kept qualified (e.g. "xlink:href")
+            this.attributes = [];
+        }
+
+        get nodeName() {
+            return this.tagName;
+        }
+
+        get localName() {
+            const index = this.tagName.indexOf(':');
+            return index === -1 ? this.tagName : this.tagName.slice(index + 1);
+        }
+
+        get prefix() {
+            const index = this.tagName.indexOf(':');
+            return index === -1 ? null : this.tagName.slice(0, index);
+        }
+
+        getAttributeNode(name) {
+            return this.attributes.find(attr => attr.name === name) || null;
+        }
+
+        getAttribute(name) {
+            const attr = this.getAttributeNode(name);
+            return attr ? attr.value : null;
+        }
+
+        hasAttribute(name) {
+            return this.getAttributeNode(name) !== null;
+        }
+
+        setAttribute(name, value) {
+            const attr = this.getAttributeNode(name);
+            if (attr) {
+                attr.value = String(value);
+            } else {
+                this.attributes.push({ name, value: String(value) });
+            }
+        }
+
+        removeAttribute(name) {
+            const index = this.attributes.findIndex(attr => attr.name === name);
+            if (index !== -1) {
+                this.attributes.splice(index, 1);
+            }
+        }
+
+        cloneNode(deep) {
+            const clone = new XMLElement(this.tagName);
+            clone.attributes = this.attributes.map(attr => ({ name: attr.name, value: attr.value }));
+            if (deep) {
+                this.childNodes.forEach(child => clone.appendChild(child.cloneNode(true)));
+            }
+            return clone;
+        }
+    }
+
+    class XMLDocument extends XMLParent {
+        constructor() {
+            super(DOCUMENT_NODE);
+        }
+
+        get documentElement() {
+            return this.firstElementChild;
+        }
+
+        cloneNode(deep) {
+            const clone = new XMLDocument();
+            if (deep) {
+                this.childNodes.forEach(child => clone.appendChild(child.cloneNode(true)));
+            }
+            return clone;
+        }
+    }
+
+    function walk(node, callback) {
+        // Depth-first visit of every node below `node`, in document order
+        const childNodes = node.childNodes ? node.childNodes.slice() : [];
+        childNodes.forEach(child => {
+            callback(child);
+            walk(child, callback);
+        });
+    }
+
+    function descendants(node) {
+        const elements = [];
+        walk(node, child => {
+            if (child.nodeType === ELEMENT_NODE) {
+                elements.push(child);
+            }
+        });
+        return elements;
+    }
+
+    function parseSelector(selector) {
+        // Supports the handful of selectors the passes need: "*", "tag",
+        // "[attr]", "tag[attr]" and comma separated lists of those
+        return selector.split(',').map(part => {
+            const match = part.trim().match(/^(\*|[\w:-]+)?(?:\[([\w:-]+)\])?$/);
+            if (!match || (!match[1] && !match[2])) {
+                throw new Error(`Unsupported selector: ${part.trim()}`);
+            }
+
+            const tagName = match[1] && match[1] !== '*' ? match[1] : null;
+            const attrName = match[2] || null;
+
+            return element =>
+                (!tagName || element.tagName === tagName) &&
+                (!attrName || element.hasAttribute(attrName));
+        });
+    }
+
+    function parseXML(source) {
+        const doc = new XMLDocument();
+        const entities = Object.assign({}, PREDEFINED_ENTITIES);
+        const stack = [doc];
+        let expandedLength = 0;
+        let pos = 0;
+
+        // A byte order mark is not part of the document
+        const text = source.charCodeAt(0) === 0xFEFF ? source.slice(1) : source;
+
+        function fail(message) {
+            const line = text.slice(0, pos).split('\n').length;
+            throw new Error(`${message} (line ${line})`);
+        }
+
+        function current() {
+            return stack[stack.length - 1];
+        }
+
+        function decode(value) {
+            return value.replace(/&([^&;\s<]*)(;?)/g, (match, ref, semicolon) => {
+                if (!semicolon) {
+                    fail('Unescaped "&" in content');
+                }
+
+                if (ref[0] === '#') {
+                    const code = ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+                    if (isNaN(code)) {
+                        fail(`Invalid character reference &${ref};`);
+                    }
+                    return String.fromCodePoint(code);
+                }
+
+                if (!Object.prototype.hasOwnProperty.call(entities, ref)) {
+                    fail(`Undefined entity &${ref};`);
+                }
+
+                expandedLength += entities[ref].length;
+                if (expandedLength > MAX_ENTITY_EXPANSION) {
+                    fail('Entity expansion limit exceeded');
+                }
+                return entities[ref];
+            });
+        }
+
+        function readName() {
+            NAME_PATTERN.lastIndex = pos;
+            const match = NAME_PATTERN.exec(text);
+            if (!match) {
+                fail('Expected a name');
+            }
+            pos += match[0].length;
+            return match[0];
+        }
+
+        function skipWhitespace() {
+            while (pos < text.length && /\s/.test(text[pos])) {
+                pos++;
+            }
+        }
+
+        function indexOrFail(token, message) {
+            const index = text.indexOf(token, pos);
+            if (index === -1) {
+                fail(message);
+            }
+            return index;
+        }
+
+        function appendNode(node) {
+            const parent = current();
+            if (parent === doc && node.nodeType === ELEMENT_NODE && doc.documentElement) {
+                fail('Only one root element is allowed');
+            }
+            parent.appendChild(node);
+        }
+
+        function parseDoctype() {
+            // Scan to the closing ">" while skipping quoted strings and the internal subset
+            const start = pos;
+            let depth = 0;
+            let quote = null;
+            pos += '<!DOCTYPE'.length;
+
+            while (pos < text.length) {
+                const char = text[pos];
+                if (quote) {
+                    if (char === quote) quote = null;
+                } else if (char === '"' || char === "'") {
+                    quote = char;
+                } else if (char === '[') {
+                    depth++;
+                } else if (char === ']') {
+                    depth--;
+                } else if (char === '>' && depth === 0) {
+                    break;
+                }
+                pos++;
+            }
+
+            if (pos >= text.length) {
+                fail('Unterminated DOCTYPE');
+            }
+
+            const declaration = text.slice(start + '<!DOCTYPE'.length, pos).trim();
+            pos++;
+
+            // Illustrator declares its namespace URIs as internal entities
+            const entityPattern = /<!ENTITY\s+([^\s%]+)\s+(["'])([\s\S]*?)\2\s*>/g;
+            let match;
+            while ((match = entityPattern.exec(declaration))) {
+                if (!Object.prototype.hasOwnProperty.call(entities, match[1])) {
+                    entities[match[1]] = decode(match[3]);
+                }
+            }
+
+            appendNode(new XMLDocumentType(declaration));
+        }
+
+        function parseStartTag() {
+            pos++;
+            const element = new XMLElement(readName());
+
+            for (;;) {
+                const before = pos;
+                skipWhitespace();
+
+                if (text.startsWith('/>', pos)) {
+                    pos += 2;
+                    appendNode(element);
+                    return;
+                }
+
+                if (text[pos] === '>') {
+                    pos++;
+                    appendNode(element);
+                    stack.push(element);
+                    return;
+                }
+
+                if (pos >= text.length) {
+                    fail(`Unterminated start tag <${element.tagName}>`);
+                }
+
+                if (pos === before) {
+                    fail(`Expected whitespace between attributes of <${element.tagName}>`);
+                }
+
+                const name = readName();
+                skipWhitespace();
+                if (text[pos] !== '=') {
+                    fail(`Attribute "${name}" has no value`);
+                }
+                pos++;
+                skipWhitespace();
+
+                const quote = text[pos];
+                if (quote !== '"' && quote !== "'") {
+                    fail(`Attribute "${name}" value must be quoted`);
+                }
+                pos++;
+
+                const end = indexOrFail(quote, `Unterminated value for attribute "${name}"`);
+                const raw = text.slice(pos, end);
+                if (raw.includes('<')) {
+                    fail(`Attribute "${name}" contains "<"`);
+                }
+                pos = end + 1;
+
+                if (element.hasAttribute(name)) {
+                    fail(`Duplicate attribute "${name}"`);
+                }
+
+                // Attribute value normalization: literal whitespace becomes a space
+                element.attributes.push({ name, value: decode(raw.replace(/\r\n|[\t\n\r]/g, ' ')) });
+            }
+        }
+
+        function parseEndTag() {
+            pos += 2;
+            const name = readName();
+            skipWhitespace();
+            if (text[pos] !== '>') {
+                fail(`Malformed end tag </${name}>`);
+            }
+            pos++;
+
+            const open = current();
+            if (open === doc || open.tagName !== name) {
+                fail(`Unexpected end tag </${name}>`);
+            }
+            stack.pop();
+        }
+
+        while (pos < text.length) {
+            if (text[pos] !== '<') {
+                const end = text.indexOf('<', pos);
+                const raw = text.slice(pos, end === -1 ? text.length : end);
+
+                if (current() === doc) {
+                    if (raw.trim()) {
+                        fail('Text outside of the root element');
+                    }
+                } else {
+                    appendNode(new XMLText(decode(raw.replace(/\r\n?/g, '\n'))));
+                }
+
+                pos = end === -1 ? text.length : end;
+            } else if (text.startsWith('<!--', pos)) {
+                const end = indexOrFail('-->', 'Unterminated comment');
+                appendNode(new XMLComment(text.slice(pos + 4, end)));
+                pos = end + 3;
+            } else if (text.startsWith('<![CDATA[', pos)) {
+                if (current() === doc) {
+                    fail('CDATA outside of the root element');
+                }
+                const end = indexOrFail(']]>', 'Unterminated CDATA section');
+                appendNode(new XMLCDataSection(text.slice(pos + 9, end).replace(/\r\n?/g, '\n')));
+                pos = end + 3;
+            } else if (text.startsWith('<?', pos)) {
+                pos += 2;
+                const target = readName();
+                const end = indexOrFail('?>', 'Unterminated processing instruction');
+                const data = text.slice(pos, end).trim();
+                pos = end + 2;
+
+                // The XML declaration is not a node; the serializer writes its own
+                if (target.toLowerCase() !== 'xml') {
+                    appendNode(new XMLProcessingInstruction(target, data));
+                }
+            } else if (text.startsWith('<!DOCTYPE', pos)) {
+                parseDoctype();
+            } else if (text.startsWith('</', pos)) {
+                parseEndTag();
+            } else {
+                parseStartTag();
+            }
+        }
+
+        if (stack.length > 1) {
+            fail(`Unclosed element <${current().tagName}>`);
+        }
+
+        if (!doc.documentElement) {
+            fail('No root element');
+        }
+
+        return doc;
+    }
+
+    function escapeText(value) {
+        return value
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    function escapeAttribute(value, quote = '"') {
+        // Only the quote character delimiting the value needs escaping
+        return escapeText(value)
+            .replace(quote === "'" ? /'/g : /"/g, quote === "'" ? '&apos;' : '&quot;')
+            .replace(/\t/g, '&#9;')
+            .replace(/\n/g, '&#10;')
+            .replace(/\r/g, '&#13;');
+    }
+
+    function serializeXML(node, options = {}) {
+        // Mirrors the output of the browser's XMLSerializer. `options.quote`
+        // set to "'" delimits attribute values with single quotes instead.
+        const quote = options.quote === "'" ? "'" : '"';
+        const serializeChild = child => serializeXML(child, options);
+
+        switch (node.nodeType) {
+            case DOCUMENT_NODE:
+                return node.childNodes.map(serializeChild).join('');
+            case ELEMENT_NODE: {
+                const attributes = node.attributes
+                    .map(attr => ` ${attr.name}=${quote}${escapeAttribute(attr.value, quote)}${quote}`)
+                    .join('');
+                if (node.childNodes.length === 0) {
+                    return `<${node.tagName}${attributes}/>`;
+                }
+                const content = node.childNodes.map(serializeChild).join('');
+                return `<${node.tagName}${attributes}>${content}</${node.tagName}>`;
+            }
+            case TEXT_NODE:
+                return escapeText(node.data);
+            case CDATA_SECTION_NODE:
+                return `<![CDATA[${node.data}]]>`;
+            case COMMENT_NODE:
+                return `<!--${node.data}-->`;
+            case PROCESSING_INSTRUCTION_NODE:
+                return `<?${node.target}${node.data ? ' ' + node.data : ''}?>`;
+            case DOCUMENT_TYPE_NODE:
+                return `<!DOCTYPE ${node.source}>`;
+            default:
+                return '';
+        }
+    }
+
+    return {
+        ELEMENT_NODE,
+        TEXT_NODE,
+        CDATA_SECTION_NODE,
+        PROCESSING_INSTRUCTION_NODE,
+        COMMENT_NODE,
+        DOCUMENT_NODE,
+        DOCUMENT_TYPE_NODE,
+        XMLElement,
+        XMLText,
+        XMLCDataSection,
+        XMLComment,
+        XMLProcessingInstruction,
+        XMLDocument,
+        parseXML,
+        serializeXML,
+        escapeText,
+        escapeAttribute,
+        walk,
+        descendants
+    };
+}));
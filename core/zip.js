@@ -0,0 +1,114 @@
+/**
+ * Minimal ZIP writer.
+ *
+ * Stores files uncompressed (method 0), which every unzip tool reads and which
+ * keeps the writer small and synchronous. Names are UTF-8 and may contain
+ * folders ("icons/arrows/left.svg").
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.zip = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    let crcTable = null;
+
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    function dosDateTime(date) {
+        // MS-DOS format: 2-second resolution, years from 1980
+        const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+        const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        return { time, day };
+    }
+
+    function createZip(files, date = new Date()) {
+        // files: [{ path, content }] where content is a string or Uint8Array
+        const encoder = new TextEncoder();
+        const { time, day } = dosDateTime(date);
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.path.replace(/\\/g, '/').replace(/^\/+/, ''));
+            const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true); // Local file header signature
+            local.setUint16(4, 20, true); // Version needed (2.0)
+            local.setUint16(6, 0x0800, true); // Flags: names are UTF-8
+            local.setUint16(8, 0, true); // Method: stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, day, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true); // Compressed size
+            local.setUint32(22, data.length, true); // Uncompressed size
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true); // Extra field length
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true); // Central directory signature
+            central.setUint16(4, 20, true); // Version made by
+            central.setUint16(6, 20, true); // Version needed
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, day, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            // Extra, comment, disk number, internal and external attributes stay 0
+            central.setUint32(42, offset, true); // Offset of the local header
+
+            localParts.push(new Uint8Array(local.buffer), name, data);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true); // End of central directory signature
+        end.setUint16(8, files.length, true); // Entries on this disk
+        end.setUint16(10, files.length, true); // Total entries
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = localParts.concat(centralParts, [new Uint8Array(end.buffer)]);
+        const output = new Uint8Array(offset + centralSize + 22);
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+        return output;
+    }
+
+    return {
+        crc32,
+        createZip
+    };
+}));
@@ -0,0 +1,151 @@
+/**
+ * Re-encoding and downscaling of embedded raster images.
+ *
+ * Each image is decoded with createImageBitmap, drawn to a canvas at its new
+ * size and encoded as WebP or JPEG (or its own format when only downscaling).
+ * An image is only replaced when the result is smaller. Needs a canvas, so
+ * unlike core/ it only runs in the browser.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./core/cleaner'), require('./core/rasters'));
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.rasterOptimize = factory(root.ScrubSVG.cleaner, root.ScrubSVG.rasters);
+    }
+}(typeof self !== 'undefined' ? self : this, function (cleaner, rasters) {
+    'use strict';
+
+    // Name of the step in the per-pass statistics
+    const PASS_NAME = 'optimizeRasters';
+
+    const TARGET_MIME = {
+        webp: 'image/webp',
+        jpeg: 'image/jpeg'
+    };
+
+    function needsCanvas(options) {
+        // Extraction alone happens on export and needs no canvas
+        return Boolean(options && (TARGET_MIME[options.format] || options.downscale));
+    }
+
+    function toBlob(canvas, type, quality) {
+        return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+    }
+
+    function toDataUri(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error('Could not read the encoded image'));
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    function hasTransparency(context, width, height) {
+        const data = context.getImageData(0, 0, width, height).data;
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] < 255) return true;
+        }
+        return false;
+    }
+
+    async function optimizeImage(image, scale, options) {
+        // { uri, after, note } for one image; `uri` is null when it is kept
+        const format = rasters.FORMATS[image.format];
+        if (!format || !image.width || !image.height) {
+            return { uri: null, after: null, note: 'Unknown image format, kept' };
+        }
+        if (image.format === 'gif') {
+            return { uri: null, after: null, note: 'GIF kept: it may be animated' };
+        }
+
+        let type = TARGET_MIME[options.format] || format.mime;
+        const width = Math.max(1, Math.round(image.width * scale));
+        const height = Math.max(1, Math.round(image.height * scale));
+        if (type === format.mime && scale === 1) return { uri: null, after: null, note: null };
+
+        const { bytes } = rasters.decodeDataUri(image.uri);
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(new Blob([bytes], { type: format.mime }));
+        } catch (error) {
+            return { uri: null, after: null, note: 'The browser could not decode this image, kept' };
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(bitmap, 0, 0, width, height);
+        if (bitmap.close) bitmap.close();
+
+        let note = null;
+        if (type === 'image/jpeg' && format.mime !== 'image/jpeg' && hasTransparency(context, width, height)) {
+            // JPEG has no alpha channel: transparent areas would turn black
+            type = format.mime;
+            note = 'Has transparency, so not converted to JPEG';
+            if (scale === 1) return { uri: null, after: null, note };
+        }
+
+        const blob = await toBlob(canvas, type, options.quality);
+        if (!blob || blob.type !== type) {
+            return { uri: null, after: null, note: `This browser cannot encode ${type.replace('image/', '').toUpperCase()}, kept` };
+        }
+        if (blob.size >= bytes.length) {
+            return { uri: null, after: null, note: note || 'Kept: re-encoding would not make it smaller' };
+        }
+
+        const after = {
+            format: Object.values(rasters.FORMATS).find(entry => entry.mime === type).label,
+            width,
+            height,
+            bytes: blob.size
+        };
+        return { uri: await toDataUri(blob), after, note };
+    }
+
+    async function optimizeRasters(content, options = {}) {
+        // Returns { content, images: [{ before, after, note }] } with one entry
+        // per image, in the order findRasters() lists them; `after` is null
+        // for images that were kept
+        options = Object.assign({}, rasters.DEFAULT_OPTIONS, options);
+        const found = rasters.findRasters(cleaner.parseSVG(content));
+
+        // The same image can be drawn several times; size it for the largest
+        const unique = new Map();
+        found.forEach(image => {
+            const entry = unique.get(image.uri) || { image, renderedWidth: 0, renderedHeight: 0 };
+            entry.renderedWidth = Math.max(entry.renderedWidth, image.renderedWidth || 0);
+            entry.renderedHeight = Math.max(entry.renderedHeight, image.renderedHeight || 0);
+            unique.set(image.uri, entry);
+        });
+
+        const results = new Map();
+        for (const { image, renderedWidth, renderedHeight } of unique.values()) {
+            let scale = 1;
+            if (options.downscale && renderedWidth && renderedHeight && image.width && image.height) {
+                scale = Math.min(1, Math.max(renderedWidth * options.pixelRatio / image.width, renderedHeight * options.pixelRatio / image.height));
+            }
+
+            const result = await optimizeImage(image, scale, options);
+            if (result.uri) {
+                content = content.split(image.uri).join(result.uri);
+            }
+            results.set(image.uri, result);
+        }
+
+        const images = found.map(image => {
+            const result = results.get(image.uri);
+            return { before: rasters.describeRaster(image), after: result.after, note: result.note };
+        });
+        return { content, images };
+    }
+
+    return {
+        PASS_NAME,
+        needsCanvas,
+        optimizeRasters
+    };
+}));
@@ -1,6 +1,19 @@
 class SVGCleaner {
     constructor() {
+        this.plugins = ScrubSVG.cleaner.plugins;
+        // Visual checks render on the main thread, so run them one at a time
+        this.visualQueue = Promise.resolve();
+        // Contents of the code views, rendered when a Code tab is first opened
+        this.codeViews = new Map();
+        // Change logs and per-pass savings by batch entry, computed when first
+        // asked for in a pool of their own (the batch's stops with the batch)
+        this.detailReports = new Map();
+        this.detailsPool = null;
+        // The batch being cleaned: { pool, files, statuses, running, cancelled }
+        this.batch = null;
         this.initializeEventListeners();
+        this.renderSettings();
+        this.setupPresets();
     }
 
     initializeEventListeners() {
@@ -23,54 +36,517 @@ class SVGCleaner {
             dragDropArea.classList.remove('drag-over');
         });
 
-        dragDropArea.addEventListener('drop', (e) => {
+        dragDropArea.addEventListener('drop', async (e) => {
             e.preventDefault();
             dragDropArea.classList.remove('drag-over');
-            this.handleFiles(e.dataTransfer.files);
+            this.handleFiles(await this.getDroppedFiles(e.dataTransfer));
         });
 
         // Click to trigger file input
         dragDropArea.addEventListener('click', () => {
             fileInput.click();
         });
+
+        // A whole folder; each file keeps its webkitRelativePath
+        const folderInput = document.getElementById('folderInput');
+        document.getElementById('folderButton').addEventListener('click', (e) => {
+            e.stopPropagation();
+            folderInput.click();
+        });
+        folderInput.addEventListener('change', (e) => {
+            this.handleFiles(e.target.files);
+        });
+
+        // Markup typed or pasted into the text area
+        const markupInput = document.getElementById('markupInput');
+        const cleanMarkup = () => {
+            if (markupInput.value.trim()) {
+                this.handleFiles([this.createMarkupFile(markupInput.value, 'markup.svg')]);
+            }
+        };
+        document.getElementById('markupClean').addEventListener('click', cleanMarkup);
+        markupInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                cleanMarkup();
+            }
+        });
+
+        // Ctrl+V anywhere else: SVG files or images, or SVG markup as text
+        document.addEventListener('paste', (e) => {
+            if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return;
+            const files = this.getPastedFiles(e.clipboardData);
+            if (files.length > 0) {
+                e.preventDefault();
+                this.handleFiles(files);
+            }
+        });
+    }
+
+    createMarkupFile(markup, name) {
+        return new File([markup.trim()], name, { type: 'image/svg+xml' });
+    }
+
+    getPastedFiles(clipboardData) {
+        // Copied files and images come as files (non-SVG ones are listed as
+        // skipped); "Copy as SVG" in Figma and code editors give markup as
+        // text, some apps as an image/svg+xml string
+        if (!clipboardData) return [];
+        const files = Array.from(clipboardData.files || []);
+        if (files.length > 0) return files;
+
+        const markup = clipboardData.getData('image/svg+xml') || clipboardData.getData('text/plain');
+        return /<svg[\s>]/i.test(markup) ? [this.createMarkupFile(markup, 'pasted.svg')] : [];
+    }
+
+    isSVGFile(file) {
+        return file.type === 'image/svg+xml' || file.name.toLowerCase().endsWith('.svg');
+    }
+
+    async getDroppedFiles(dataTransfer) {
+        // Walk dropped folders so the ZIP export can keep their structure;
+        // each file gets a relativePath such as "icons/arrows/left.svg"
+        const items = Array.from(dataTransfer.items || []);
+        if (items.length === 0 || typeof items[0].webkitGetAsEntry !== 'function') {
+            return Array.from(dataTransfer.files);
+        }
+
+        const entries = items.map(item => item.webkitGetAsEntry()).filter(Boolean);
+        const files = [];
+
+        const readEntry = async entry => {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                Object.defineProperty(file, 'relativePath', { value: entry.fullPath.replace(/^\//, '') });
+                files.push(file);
+            } else if (entry.isDirectory) {
+                const reader = entry.createReader();
+                // readEntries returns the folder in chunks until it returns none
+                let batch;
+                do {
+                    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    for (const child of batch) {
+                        await readEntry(child);
+                    }
+                } while (batch.length > 0);
+            }
+        };
+
+        for (const entry of entries) {
+            await readEntry(entry);
+        }
+        return files;
+    }
+
+    getRelativePath(file) {
+        return file.relativePath || file.webkitRelativePath || file.name;
     }
 
     async handleFiles(files) {
-        const svgFiles = Array.from(files).filter(file => 
-            file.type === 'image/svg+xml' || file.name.toLowerCase().endsWith('.svg')
-        );
+        const svgFiles = Array.from(files).filter(file => this.isSVGFile(file));
+        const skipped = Array.from(files).filter(file => !this.isSVGFile(file));
+        if (svgFiles.length === 0 && skipped.length === 0) return;
 
-        if (svgFiles.length === 0) {
-            alert('Please select valid SVG files.');
-            return;
+        // A new batch replaces the one still running
+        if (this.batch && this.batch.running) {
+            this.cancelBatch();
         }
 
         const fileResults = document.getElementById('fileResults');
         
         fileResults.style.display = 'block';
         fileResults.innerHTML = '';
+        this.codeViews.clear();
+        this.detailReports.clear();
+        if (this.detailsPool) {
+            this.detailsPool.terminate();
+            this.detailsPool = null;
+        }
+
+        if (skipped.length > 0) {
+            fileResults.appendChild(this.createSkippedList(skipped));
+        }
+        if (svgFiles.length === 0) {
+            this.batch = null;
+            this.batchResults = [];
+            return;
+        }
+
+        const batch = {
+            pool: ScrubSVG.workerPool.createPool(),
+            files: svgFiles,
+            statuses: svgFiles.map(() => 'queued'),
+            running: true,
+            cancelled: false
+        };
+        this.batch = batch;
+
+        // Collected for "Download all", in the order the files were given
+        this.batchResults = [];
+        fileResults.appendChild(this.createBatchActions());
+        fileResults.appendChild(this.createBatchProgress(batch));
+        fileResults.appendChild(this.createBatchTotals());
+
+        // Read the settings once so every file in the batch gets the same treatment
+        const options = this.getOptions();
+        this.batchSettings = { preset: this.activePreset, options };
+
+        // One lane per worker; each result is shown as soon as it is ready.
+        // Files are only read when a lane picks them up.
+        const results = [];
+        let nextIndex = 0;
+        const lane = async () => {
+            while (!batch.cancelled && nextIndex < svgFiles.length) {
+                const index = nextIndex++;
+                const result = await this.processFile(svgFiles[index], options, batch, index);
+                if (result) {
+                    results[index] = result;
+                    this.batchResults = results.filter(Boolean);
+                    this.updateBatchActions();
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(batch.pool.size, svgFiles.length) }, lane));
+
+        if (this.batch !== batch) return;
+        batch.pool.terminate();
+        batch.running = false;
+        this.updateBatchProgress(batch);
+        this.updateBatchActions();
+    }
+
+    cancelBatch() {
+        // Stops the workers; files not finished yet are marked cancelled
+        const batch = this.batch;
+        if (!batch || !batch.running) return;
+
+        batch.cancelled = true;
+        batch.running = false;
+        batch.pool.terminate();
+        batch.statuses = batch.statuses.map(status => (status === 'queued' || status === 'cleaning' ? 'cancelled' : status));
+        this.updateBatchProgress(batch);
+        this.updateBatchActions();
+    }
+
+    createSkippedList(files) {
+        // Files in the selection, drop or paste that are not SVG
+        const list = document.createElement('details');
+        list.className = 'skipped-files';
+        list.innerHTML = `
+            <summary>Skipped ${files.length} file${files.length === 1 ? '' : 's'} that ${files.length === 1 ? 'is' : 'are'} not SVG</summary>
+            <ul>${files.map(file => `<li>${this.escapeHtml(this.getRelativePath(file))}</li>`).join('')}</ul>
+        `;
+        return list;
+    }
+
+    createBatchProgress(batch) {
+        const progress = document.createElement('div');
+        progress.className = 'batch-progress';
+        progress.id = 'batchProgress';
+        progress.innerHTML = `
+            <div class="batch-progress-header">
+            <progress max="${batch.files.length}" value="0"></progress>
+            <span class="batch-progress-text"></span>
+            <button class="cta-btn batch-cancel-btn" type="button">Cancel</button>
+            </div>
+            <details class="batch-file-status">
+            <summary></summary>
+            <ul>
+            ${batch.files.map((file, index) => `<li data-index="${index}"><span class="file-status-name">${this.escapeHtml(this.getRelativePath(file))}</span> <span class="file-status"></span> <span class="file-status-detail"></span></li>`).join('')}
+            </ul>
+            </details>
+        `;
+        progress.querySelector('.batch-cancel-btn').addEventListener('click', () => this.cancelBatch());
+        this.batchProgress = progress;
+        this.updateBatchProgress(batch);
+        return progress;
+    }
 
-        for (const file of svgFiles) {
-            await this.processFile(file);
+    setFileStatus(batch, index, status, detail) {
+        if (batch.cancelled) return;
+        batch.statuses[index] = status;
+        const item = this.batchProgress && this.batchProgress.querySelector(`li[data-index="${index}"] .file-status-detail`);
+        if (item) item.textContent = detail || '';
+        this.updateBatchProgress(batch);
+    }
+
+    updateBatchProgress(batch) {
+        // Overall bar plus a status per file: queued, cleaning, done, failed or cancelled
+        const progress = this.batchProgress;
+        if (!progress || this.batch !== batch) return;
+
+        const STATUSES = ['queued', 'cleaning', 'done', 'failed', 'cancelled'];
+        const counts = {};
+        batch.statuses.forEach((status, index) => {
+            counts[status] = (counts[status] || 0) + 1;
+            const label = progress.querySelector(`li[data-index="${index}"] .file-status`);
+            if (label.textContent !== status) {
+                label.className = `file-status ${status}`;
+                label.textContent = status;
+            }
+        });
+
+        const finished = (counts.done || 0) + (counts.failed || 0);
+        const total = batch.files.length;
+        progress.querySelector('progress').value = finished;
+        progress.querySelector('.batch-progress-text').textContent = batch.running
+            ? `Cleaning ${finished} of ${total} file${total === 1 ? '' : 's'}\u2026`
+            : batch.cancelled ? `Cancelled after ${finished} of ${total}` : `Finished ${total} file${total === 1 ? '' : 's'}`;
+        progress.querySelector('.batch-cancel-btn').hidden = !batch.running;
+        progress.querySelector('.batch-file-status summary').textContent = STATUSES
+            .filter(status => counts[status])
+            .map(status => `${counts[status]} ${status}`)
+            .join(', ');
+    }
+
+    createBatchActions() {
+        const actions = document.createElement('div');
+        actions.className = 'batch-actions';
+        actions.id = 'batchActions';
+        actions.innerHTML = `
+            <span class="batch-summary"></span>
+            <button class="cta-btn download-btn-inline download-all-btn" type="button" disabled>
+                <svg width="16" height="16" viewBox="0 0 32 32" fill="currentColor" style="margin-right: 6px;">
+                <path d="M26 24v4H6v-4H4v4a2 2 0 0 0 2 2h20a2 2 0 0 0 2-2v-4zM26 14l-1.41-1.41L17 20.17V2h-2v18.17l-7.59-7.58L6 14l10 10 10-10z"/>
+                </svg>
+                Download all (ZIP)
+            </button>
+            <button class="cta-btn copy-btn download-sprite-btn" type="button" disabled>
+                Download sprite
+            </button>
+        `;
+        actions.querySelector('.download-all-btn').addEventListener('click', () => this.downloadAll());
+        actions.querySelector('.download-sprite-btn').addEventListener('click', () => this.downloadSprite());
+        return actions;
+    }
+
+    updateBatchActions() {
+        const actions = document.getElementById('batchActions');
+        if (!actions) return;
+
+        const cleaned = this.batchResults.filter(result => !result.error);
+        const failed = this.batchResults.length - cleaned.length;
+        const originalSize = cleaned.reduce((sum, result) => sum + result.originalSize, 0);
+        const cleanedSize = cleaned.reduce((sum, result) => sum + result.cleanedSize, 0);
+        const cancelled = this.batch ? this.batch.statuses.filter(status => status === 'cancelled').length : 0;
+        // Downloads wait for the whole batch
+        const running = Boolean(this.batch && this.batch.running);
+
+        actions.querySelector('.batch-summary').textContent =
+            `${cleaned.length} file${cleaned.length === 1 ? '' : 's'} cleaned` +
+            (failed > 0 ? `, ${failed} failed` : '') +
+            (cancelled > 0 ? `, ${cancelled} cancelled` : '') +
+            ` \u2014 ${this.formatFileSize(originalSize)} \u2192 ${this.formatFileSize(cleanedSize)}`;
+        actions.querySelector('.download-all-btn').disabled = running || cleaned.length === 0;
+        actions.querySelector('.download-sprite-btn').disabled = running || cleaned.length === 0;
+        if (!running) {
+            this.updateBatchTotals(cleaned);
+        }
+    }
+
+    createBatchTotals() {
+        const totals = document.createElement('div');
+        totals.className = 'batch-totals';
+        totals.id = 'batchTotals';
+        totals.style.display = 'none';
+        return totals;
+    }
+
+    updateBatchTotals(cleaned) {
+        // Compressed sizes and the per-pass breakdown summed over the batch
+        const totals = document.getElementById('batchTotals');
+        if (!totals) return;
+        if (cleaned.length < 2) {
+            totals.style.display = 'none';
+            return;
         }
+
+        const sum = (which, format) => (cleaned.some(result => result.compressed[which][format] === null)
+            ? null
+            : cleaned.reduce((total, result) => total + result.compressed[which][format], 0));
+        const compressed = {
+            original: { gzip: sum('original', 'gzip'), brotli: sum('original', 'brotli') },
+            cleaned: { gzip: sum('cleaned', 'gzip'), brotli: sum('cleaned', 'brotli') }
+        };
+        const palette = ScrubSVG.colors.mergePalettes(cleaned.map(result => result.palette));
+
+        totals.style.display = '';
+        totals.innerHTML = `
+            <div class="batch-totals-sizes">
+            <span>Batch totals</span>
+            <span>gzip: ${this.formatCompressedSizes(compressed, 'gzip')}</span>
+            <span>brotli: ${this.formatCompressedSizes(compressed, 'brotli')}</span>
+            </div>
+            ${this.renderPassStats()}
+            ${this.renderPalette(palette, `Palette across ${cleaned.length} files`)}
+        `;
+        this.setupPassStats(totals, `Savings by pass across ${cleaned.length} files`, async () => {
+            const reports = await Promise.all(cleaned.map(result => this.loadDetails(result)));
+            return ScrubSVG.stats.sumPasses(reports.map(report => report.passes));
+        });
+    }
+
+    async optimizeRasters(result, rasterOptions) {
+        // Re-encodes and downscales embedded images after cleaning. This
+        // needs a canvas, so it runs here rather than in the worker; the
+        // saving is returned as rasterPass, a step of its own for the pass
+        // statistics. The worker's embed snippets are rebuilt for the new
+        // markup.
+        const { content, report, compressed } = result;
+        if (!report.stats.rasters || !ScrubSVG.rasterOptimize.needsCanvas(rasterOptions)) return result;
+
+        const optimized = await ScrubSVG.rasterOptimize.optimizeRasters(content, rasterOptions);
+        report.stats.rasters.optimized = optimized.images;
+        if (optimized.content === content) return result;
+
+        const rasterPass = {
+            name: ScrubSVG.rasterOptimize.PASS_NAME,
+            bytesSaved: ScrubSVG.stats.utf8Length(content) - ScrubSVG.stats.utf8Length(optimized.content),
+            elementsRemoved: 0,
+            attributesRemoved: 0
+        };
+        const cleaned = await ScrubSVG.compress.compressedSizes(optimized.content);
+        return {
+            content: optimized.content,
+            report,
+            compressed: Object.assign({}, compressed, { cleaned }),
+            embed: ScrubSVG.embed.embedOutputs(optimized.content),
+            rasterPass
+        };
+    }
+
+    getNamePattern() {
+        const input = document.getElementById('namePattern');
+        return (input && input.value.trim()) || ScrubSVG.batch.DEFAULT_NAME_PATTERN;
+    }
+
+    async downloadAll() {
+        // Cleaned files under their original folders, plus report.json/report.csv
+        const pattern = this.getNamePattern();
+        const cleaned = this.batchResults.filter(result => !result.error);
+        const paths = ScrubSVG.batch.uniquePaths(cleaned.map(result => ScrubSVG.batch.outputPath(result.file, pattern)));
+
+        // The report lists each file's savings by pass; a file that cannot be
+        // cleaned again for them is listed without
+        const button = document.querySelector('#batchActions .download-all-btn');
+        if (button) button.disabled = true;
+        const passes = await Promise.all(cleaned.map(result => this.loadDetails(result).then(report => report.passes, () => null)));
+        if (button) button.disabled = false;
+
+        const entries = this.batchResults.map(result => {
+            const index = cleaned.indexOf(result);
+            return Object.assign({}, result, index === -1 ? { output: null } : { output: paths[index], passes: passes[index] });
+        });
+        const report = ScrubSVG.batch.buildReport(entries, Object.assign({ namePattern: pattern }, this.batchSettings));
+
+        // Embedded images optionally move out into files next to their SVG
+        const rasterOptions = this.batchSettings.options.rasters;
+        const extract = Boolean(rasterOptions && rasterOptions.extract);
+        const files = [];
+        cleaned.forEach((result, i) => {
+            if (!extract) {
+                files.push({ path: paths[i], content: result.content });
+                return;
+            }
+            const slash = paths[i].lastIndexOf('/') + 1;
+            const folder = paths[i].slice(0, slash);
+            const extracted = ScrubSVG.rasters.extractRasters(result.content, paths[i].slice(slash).replace(/\.svg$/i, ''));
+            files.push({ path: paths[i], content: extracted.content });
+            extracted.files.forEach(image => files.push({ path: folder + image.name, content: image.bytes }));
+        });
+
+        files.push(
+            { path: 'report.json', content: report.json },
+            { path: 'report.csv', content: report.csv }
+        );
+
+        this.downloadBlob(new Blob([ScrubSVG.zip.createZip(files)], { type: 'application/zip' }), 'scrub-svg-cleaned.zip');
+    }
+
+    downloadSprite() {
+        // One <symbol> per cleaned file, plus a preview page listing the
+        // <use> snippet for each
+        const cleaned = this.batchResults.filter(result => !result.error);
+        const sprite = ScrubSVG.sprite.buildSprite(cleaned.map(result => ({ name: result.file, content: result.content })));
+        const files = [
+            { path: 'sprite.svg', content: sprite.content },
+            { path: 'sprite.html', content: ScrubSVG.sprite.buildPreviewPage(sprite) }
+        ];
+
+        this.downloadBlob(new Blob([ScrubSVG.zip.createZip(files)], { type: 'application/zip' }), 'scrub-svg-sprite.zip');
     }
 
-    async processFile(file) {
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    async processFile(file, options, batch, index) {
+        // Cleans one file in the batch's worker pool and shows the result.
+        // Returns the file's batch entry, or null once the batch is cancelled.
+        this.setFileStatus(batch, index, 'cleaning');
         try {
             const originalContent = await this.readFileAsText(file);
             const originalSize = new Blob([originalContent]).size;
             
-            const cleanedContent = this.cleanSVG(originalContent);
+            // Also gives the gzip/brotli sizes, computed locally rather than by a server
+            const cleanOptions = Object.assign({}, options, { fileName: file.name });
+            const result = await batch.pool.run(originalContent, cleanOptions);
+            if (batch.cancelled) return null;
+            const { content: cleanedContent, report, compressed, embed, rasterPass } = await this.optimizeRasters(result, options.rasters);
+            if (batch.cancelled) return null;
             const cleanedSize = new Blob([cleanedContent]).size;
             
             const savings = originalSize - cleanedSize;
             const savingsPercent = ((savings / originalSize) * 100).toFixed(1);
 
-            this.displayResult(file.name, originalContent, cleanedContent, originalSize, cleanedSize, savings, savingsPercent);
+            // The change log and per-pass savings come from loadDetails(),
+            // which cleans the file again from `source`
+            const entry = {
+                file: this.getRelativePath(file),
+                content: cleanedContent,
+                originalSize,
+                cleanedSize,
+                compressed,
+                palette: report.stats.palette || [],
+                warnings: report.warnings,
+                source: { content: originalContent, options: cleanOptions, rasterPass }
+            };
+            this.displayResult(file.name, originalContent, cleanedContent, originalSize, cleanedSize, savings, savingsPercent, report, options, compressed,
+                embed, () => this.loadDetails(entry));
+            this.setFileStatus(batch, index, 'done', `${savingsPercent}% saved`);
+
+            return entry;
         } catch (error) {
+            if (batch.cancelled) return null;
             console.error('Error processing file:', error);
+            this.setFileStatus(batch, index, 'failed', error.message);
             this.displayError(file.name, error.message);
+            return { file: this.getRelativePath(file), originalSize: file.size, error: error.message };
+        }
+    }
+
+    loadDetails(entry) {
+        // Resolves with the report of a batch entry cleaned again with
+        // trackChanges and passStats. Tracking takes a snapshot of the tree
+        // after every pass, which is only worth it for files someone inspects.
+        if (!this.detailReports.has(entry)) {
+            this.detailsPool = this.detailsPool || ScrubSVG.workerPool.createPool();
+            const { content, options, rasterPass } = entry.source;
+            const report = this.detailsPool.run(content, Object.assign({}, options, { trackChanges: true, passStats: true }))
+                .then(result => {
+                    if (rasterPass) result.report.passes.push(rasterPass);
+                    return result.report;
+                });
+            this.detailReports.set(entry, report);
         }
+        return this.detailReports.get(entry);
     }
 
     readFileAsText(file) {
@@ -82,435 +558,376 @@ class SVGCleaner {
         });
     }
 
-    cleanSVG(svgContent) {
-        // Parse the SVG content
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(svgContent, 'image/svg+xml');
-        
-        // Check for parsing errors
-        const parseError = doc.querySelector('parsererror');
-        if (parseError) {
-            throw new Error('Invalid SVG file');
-        }
+    renderSettings() {
+        // Build one row per plugin with an enable toggle and its options
+        const container = document.getElementById('pluginSettings');
+        if (!container) return;
 
-        const svg = doc.querySelector('svg');
-        if (!svg) {
-            throw new Error('No SVG element found');
-        }
+        container.innerHTML = '';
 
-        // Apply cleaning rules
-        this.removeUselessMetadata(svg);
-        this.removeWidthHeight(svg);
-        this.keepViewBox(svg);
-        this.flattenGroups(svg);
-        this.removeHiddenElements(svg);
-        this.collapseTransforms(svg);
-        this.cleanupStyles(svg);
-        this.cleanupTextContent(svg);
-        this.cleanupAttributes(svg);
-
-        // Serialize back to string
-        const serializer = new XMLSerializer();
-        let cleanedContent = serializer.serializeToString(svg);
-        
-        console.log('Raw serialized content:', cleanedContent);
-        
-        // Clean up the XML declaration and format
-        cleanedContent = this.formatSVG(cleanedContent);
-        
-        console.log('Final cleaned content:', cleanedContent);
-        
-        return cleanedContent;
-    }
+        this.plugins.forEach(plugin => {
+            const row = document.createElement('div');
+            row.className = 'plugin-setting';
+            row.dataset.plugin = plugin.name;
 
-    removeUselessMetadata(svg) {
-        // Remove title, desc, metadata elements
-        const metadataSelectors = [
-            'title', 'desc', 'metadata', 
-            'defs > title', 'defs > desc'
-        ];
-        
-        metadataSelectors.forEach(selector => {
-            const elements = svg.querySelectorAll(selector);
-            elements.forEach(el => el.remove());
+            const toggle = document.createElement('label');
+            toggle.className = 'plugin-toggle';
+            toggle.innerHTML = `
+                <input type="checkbox" data-role="enabled" ${plugin.enabled === false ? '' : 'checked'}>
+                <span class="plugin-name">${this.escapeHtml(plugin.name)}</span>
+                <span class="plugin-description">${this.escapeHtml(plugin.description)}</span>
+            `;
+            row.appendChild(toggle);
+
+            const paramNames = Object.keys(plugin.params);
+            if (paramNames.length > 0) {
+                const params = document.createElement('div');
+                params.className = 'plugin-params';
+
+                paramNames.forEach(paramName => {
+                    const value = plugin.params[paramName];
+                    const label = document.createElement('label');
+                    const input = document.createElement('input');
+                    input.dataset.param = paramName;
+
+                    if (typeof value === 'boolean') {
+                        input.type = 'checkbox';
+                        input.checked = value;
+                    } else if (typeof value === 'number') {
+                        input.type = 'number';
+                        input.value = value;
+                    } else {
+                        input.type = 'text';
+                        input.value = value;
+                    }
+
+                    label.appendChild(input);
+                    label.appendChild(document.createTextNode(' ' + this.humanizeParam(paramName)));
+                    params.appendChild(label);
+                });
+
+                row.appendChild(params);
+            }
+
+            container.appendChild(row);
         });
+    }
 
-        // Remove editor-specific attributes (but preserve main SVG namespace)
-        const editorAttributes = [
-            'inkscape:version', 'inkscape:export-filename', 'inkscape:export-xdpi',
-            'inkscape:export-ydpi', 'sodipodi:docname', 'xmlns:inkscape',
-            'xmlns:sodipodi', 'xmlns:rdf', 'xmlns:cc', 'xmlns:dc'
-        ];
+    getPrecision() {
+        // Global precision overrides every plugin's own precision param
+        const mode = document.getElementById('precisionMode');
+        const input = document.getElementById('precisionValue');
+        if (!mode || !input || mode.value === 'off') return undefined;
 
-        this.removeAttributesRecursively(svg, editorAttributes);
-        
-        // Ensure the main SVG namespace is preserved
-        if (!svg.getAttribute('xmlns')) {
-            svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
-        }
-        
-        // Remove XML comments
-        this.removeComments(svg);
+        const value = parseInt(input.value, 10);
+        if (isNaN(value)) return undefined;
+
+        return mode.value === 'significant' ? { significantDigits: Math.max(1, value) } : Math.max(0, value);
     }
 
-    removeWidthHeight(svg) {
-        // Remove width and height attributes from root SVG
-        svg.removeAttribute('width');
-        svg.removeAttribute('height');
+    getOutputOptions() {
+        // Serializer settings (see core/serializer.js)
+        const value = id => document.getElementById(id).value;
+        if (!document.getElementById('outputMode')) return undefined;
+
+        return {
+            pretty: value('outputMode') === 'pretty',
+            indent: value('outputIndent'),
+            wrapAttributes: value('outputWrap'),
+            attributeOrder: value('outputOrder'),
+            quote: value('outputQuote'),
+            xmlDeclaration: document.getElementById('outputDeclaration').checked
+        };
     }
 
-    keepViewBox(svg) {
-        // Ensure viewBox is preserved - this method just validates it exists
-        if (!svg.getAttribute('viewBox')) {
-            // If no viewBox but has width/height, try to create one
-            const width = svg.getAttribute('width');
-            const height = svg.getAttribute('height');
-            if (width && height) {
-                const w = parseFloat(width);
-                const h = parseFloat(height);
-                if (!isNaN(w) && !isNaN(h)) {
-                    svg.setAttribute('viewBox', `0 0 ${w} ${h}`);
+    getRasterOptions() {
+        // Embedded image settings (see core/rasters.js); undefined while
+        // they are all at their defaults
+        if (!document.getElementById('rasterFormat')) return undefined;
+
+        const defaults = ScrubSVG.rasters.DEFAULT_OPTIONS;
+        const quality = parseInt(document.getElementById('rasterQuality').value, 10);
+        const rasters = {
+            format: document.getElementById('rasterFormat').value,
+            quality: isNaN(quality) ? defaults.quality : Math.min(100, Math.max(1, quality)) / 100,
+            downscale: document.getElementById('rasterDownscale').checked,
+            extract: document.getElementById('rasterExtract').checked
+        };
+        const changed = rasters.format !== defaults.format || rasters.downscale || rasters.extract;
+        return changed ? rasters : undefined;
+    }
+
+    applyOptions(options = {}, namePattern) {
+        // The inverse of getOptions(): reset the panel to the defaults, then
+        // fill in what `options` sets
+        this.renderSettings();
+
+        const plugins = options.plugins || {};
+        document.querySelectorAll('#pluginSettings .plugin-setting').forEach(row => {
+            const setting = plugins[row.dataset.plugin];
+            if (setting === undefined) return;
+
+            row.querySelector('[data-role="enabled"]').checked = setting !== false;
+            if (typeof setting !== 'object' || setting === null) return;
+
+            row.querySelectorAll('[data-param]').forEach(input => {
+                const value = setting[input.dataset.param];
+                if (value === undefined) return;
+                if (input.type === 'checkbox') {
+                    input.checked = Boolean(value);
+                } else {
+                    input.value = value;
                 }
+            });
+        });
+
+        const mode = document.getElementById('precisionMode');
+        const precisionValue = document.getElementById('precisionValue');
+        if (mode && precisionValue) {
+            const precision = options.precision;
+            if (typeof precision === 'number') {
+                mode.value = 'decimals';
+                precisionValue.value = precision;
+            } else if (precision && precision.significantDigits !== undefined) {
+                mode.value = 'significant';
+                precisionValue.value = precision.significantDigits;
+            } else {
+                mode.value = 'off';
+                precisionValue.value = precisionValue.defaultValue;
             }
         }
+
+        if (document.getElementById('outputMode')) {
+            const output = Object.assign({}, ScrubSVG.serializer.DEFAULT_OPTIONS, options.output);
+            document.getElementById('outputMode').value = output.pretty ? 'pretty' : 'minified';
+            document.getElementById('outputIndent').value = String(output.indent);
+            document.getElementById('outputWrap').value = output.wrapAttributes;
+            document.getElementById('outputOrder').value = output.attributeOrder;
+            document.getElementById('outputQuote').value = output.quote;
+            document.getElementById('outputDeclaration').checked = output.xmlDeclaration !== false;
+        }
+
+        if (document.getElementById('rasterFormat')) {
+            const rasters = Object.assign({}, ScrubSVG.rasters.DEFAULT_OPTIONS, options.rasters);
+            document.getElementById('rasterFormat').value = rasters.format;
+            document.getElementById('rasterQuality').value = Math.round(rasters.quality * 100);
+            document.getElementById('rasterDownscale').checked = Boolean(rasters.downscale);
+            document.getElementById('rasterExtract').checked = Boolean(rasters.extract);
+        }
+
+        const patternInput = document.getElementById('namePattern');
+        if (patternInput) {
+            patternInput.value = namePattern || ScrubSVG.batch.DEFAULT_NAME_PATTERN;
+        }
     }
 
-    flattenGroups(svg) {
-        // Find groups that can be flattened (no transforms, styles, or special attributes)
-        const groups = svg.querySelectorAll('g');
-        
-        groups.forEach(group => {
-            const hasTransform = group.getAttribute('transform');
-            const hasStyle = group.getAttribute('style');
-            const hasClass = group.getAttribute('class');
-            const hasId = group.getAttribute('id');
-            
-            // Only flatten simple groups
-            if (!hasTransform && !hasStyle && !hasClass && !hasId) {
-                // Move children to parent
-                const parent = group.parentNode;
-                while (group.firstChild) {
-                    parent.insertBefore(group.firstChild, group);
-                }
-                group.remove();
-            }
-        });
+    getStorage() {
+        // localStorage throws in some privacy modes and sandboxed frames
+        try {
+            return window.localStorage;
+        } catch (error) {
+            return null;
+        }
     }
 
-    removeHiddenElements(svg) {
-        // Remove elements with display:none or visibility:hidden
-        const allElements = svg.querySelectorAll('*');
-        
-        allElements.forEach(element => {
-            const style = element.getAttribute('style') || '';
-            const display = element.getAttribute('display');
-            const visibility = element.getAttribute('visibility');
-            
-            if (display === 'none' || 
-                visibility === 'hidden' || 
-                style.includes('display:none') || 
-                style.includes('display: none') ||
-                style.includes('visibility:hidden') ||
-                style.includes('visibility: hidden')) {
-                element.remove();
-            }
-        });
+    getPresets() {
+        // Saved presets replace built-in ones with the same name
+        return ScrubSVG.presets.mergePresets(ScrubSVG.presets.BUILTIN_PRESETS, this.savedPresets);
     }
 
-    collapseTransforms(svg) {
-        // This is a simplified transform collapse - in a real implementation
-        // you'd want more sophisticated matrix math
-        const elementsWithTransform = svg.querySelectorAll('[transform]');
-        
-        elementsWithTransform.forEach(element => {
-            const transform = element.getAttribute('transform');
-            if (transform) {
-                // Remove redundant transforms like translate(0,0) or scale(1)
-                if (transform.includes('translate(0,0)') || 
-                    transform.includes('translate(0 0)') ||
-                    transform.includes('scale(1)')) {
-                    
-                    let cleanTransform = transform
-                        .replace(/translate\(0[,\s]0\)/g, '')
-                        .replace(/scale\(1\)/g, '')
-                        .replace(/\s+/g, ' ')
-                        .trim();
-                    
-                    if (cleanTransform) {
-                        element.setAttribute('transform', cleanTransform);
-                    } else {
-                        element.removeAttribute('transform');
-                    }
-                }
+    setupPresets() {
+        // Built-in presets plus the ones saved in this browser; picking one
+        // fills in the settings panel
+        const select = document.getElementById('presetSelect');
+        if (!select) return;
+
+        this.savedPresets = ScrubSVG.presets.loadPresets(this.getStorage());
+        this.activePreset = null;
+        this.renderPresetOptions();
+
+        select.addEventListener('change', () => {
+            const preset = ScrubSVG.presets.findPreset(this.getPresets(), select.value);
+            if (preset) {
+                this.applyOptions(preset.options, preset.namePattern);
             }
+            this.activePreset = preset ? preset.name : null;
+            this.updatePresetButtons();
         });
-    }
 
-    cleanupStyles(svg) {
-        // Remove empty style attributes
-        const elementsWithStyle = svg.querySelectorAll('[style]');
-        
-        elementsWithStyle.forEach(element => {
-            const style = element.getAttribute('style');
-            if (!style || style.trim() === '') {
-                element.removeAttribute('style');
-            }
+        // Changing any setting by hand means the panel no longer matches the preset
+        document.getElementById('settingsPanel').addEventListener('change', () => {
+            this.activePreset = null;
+            select.value = '';
+            this.updatePresetButtons();
         });
-    }
 
-    cleanupTextContent(svg) {
-        // Clean up text content in SVG elements
-        const textElements = svg.querySelectorAll('text, tspan');
-        
-        textElements.forEach(element => {
-            const textContent = element.textContent;
-            if (textContent) {
-                // Only remove zero-width characters, preserve other text
-                const cleanText = textContent
-                    .replace(/[\u200B-\u200D\uFEFF]/g, '') // Remove zero-width characters
-                    .trim();
-                
-                if (cleanText !== textContent) {
-                    element.textContent = cleanText;
-                }
-            }
+        document.getElementById('presetSave').addEventListener('click', () => this.savePreset());
+        document.getElementById('presetDelete').addEventListener('click', () => this.deletePreset());
+        document.getElementById('presetExport').addEventListener('click', () => this.exportPresets());
+
+        const fileInput = document.getElementById('presetFile');
+        document.getElementById('presetImport').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) this.importPresets(await this.readFileAsText(file));
         });
     }
 
-    cleanupAttributes(svg) {
-        // Clean up attribute values that contain non-ASCII characters
-        const allElements = svg.querySelectorAll('*');
-        
-        allElements.forEach(element => {
-            const attributes = Array.from(element.attributes);
-            
-            attributes.forEach(attr => {
-                const name = attr.name;
-                const value = attr.value;
-                
-                // Skip essential SVG attributes that might need special characters
-                if (['d', 'transform'].includes(name)) {
-                    return;
-                }
-                
-                // Clean up IDs, class names, and other text attributes
-                if (['id', 'class', 'inkscape:label'].includes(name) || name.includes('aria-') || name.includes('data-')) {
-                    const cleanValue = value
-                        .replace(/[^\x00-\x7F]/g, '') // Remove non-ASCII characters
-                        .replace(/[^a-zA-Z0-9_-]/g, '_') // Replace special chars with underscore
-                        .replace(/_{2,}/g, '_') // Replace multiple underscores with single
-                        .replace(/^_+|_+$/g, ''); // Remove leading/trailing underscores
-                    
-                    if (cleanValue && cleanValue !== value) {
-                        element.setAttribute(name, cleanValue);
-                    } else if (!cleanValue) {
-                        // Remove empty attributes
-                        element.removeAttribute(name);
-                    }
-                }
-                
-                // Clean up URL references like fill="url(#무제_그라디언트)"
-                if (value.includes('url(#') && /[^\x00-\x7F]/.test(value)) {
-                    const cleanValue = value.replace(/url\(#([^)]+)\)/g, (match, id) => {
-                        const cleanId = id
-                            .replace(/[^\x00-\x7F]/g, '') // Remove non-ASCII characters
-                            .replace(/[^a-zA-Z0-9_-]/g, '_') // Replace special chars with underscore
-                            .replace(/_{2,}/g, '_') // Replace multiple underscores with single
-                            .replace(/^_+|_+$/g, ''); // Remove leading/trailing underscores
-                        
-                        return cleanId ? `url(#${cleanId})` : 'none';
-                    });
-                    
-                    if (cleanValue !== value) {
-                        element.setAttribute(name, cleanValue);
-                    }
-                }
-            });
-        });
-        
-        // Clean up CSS content in style elements
-        this.cleanupStyleElements(svg);
-        
-        // Update any referenced IDs to match the cleaned versions
-        this.updateReferences(svg);
+    renderPresetOptions() {
+        const select = document.getElementById('presetSelect');
+        const options = [{ value: '', label: 'Custom settings' }]
+            .concat(this.getPresets().map(preset => ({ value: preset.name, label: preset.name })));
+
+        // Names come from imported files, so they never go through markup
+        select.textContent = '';
+        options.forEach(option => select.add(new Option(option.label, option.value)));
+        select.value = this.activePreset || '';
+        this.updatePresetButtons();
     }
 
-    cleanupStyleElements(svg) {
-        // Clean up content inside <style> elements
-        const styleElements = svg.querySelectorAll('style');
-        
-        styleElements.forEach(styleElement => {
-            let cssContent = styleElement.textContent || styleElement.innerHTML;
-            
-            if (cssContent && /[^\x00-\x7F]/.test(cssContent)) {
-                // Clean up CSS selector names and URL references
-                cssContent = cssContent.replace(/url\(#([^)]+)\)/g, (match, id) => {
-                    const cleanId = id
-                        .replace(/[^\x00-\x7F]/g, '') // Remove non-ASCII characters
-                        .replace(/[^a-zA-Z0-9_-]/g, '_') // Replace special chars with underscore
-                        .replace(/_{2,}/g, '_') // Replace multiple underscores with single
-                        .replace(/^_+|_+$/g, ''); // Remove leading/trailing underscores
-                    
-                    return cleanId ? `url(#${cleanId})` : 'none';
-                });
-                
-                // Clean up class names that might contain non-ASCII characters
-                cssContent = cssContent.replace(/\.([a-zA-Z_][a-zA-Z0-9_\u00A0-\uFFFF-]*)/g, (match, className) => {
-                    const cleanClassName = className
-                        .replace(/[^\x00-\x7F]/g, '') // Remove non-ASCII characters
-                        .replace(/[^a-zA-Z0-9_-]/g, '_') // Replace special chars with underscore
-                        .replace(/_{2,}/g, '_') // Replace multiple underscores with single
-                        .replace(/^_+|_+$/g, ''); // Remove leading/trailing underscores
-                    
-                    return cleanClassName ? `.${cleanClassName}` : '';
-                });
-                
-                styleElement.textContent = cssContent;
-            }
-        });
+    updatePresetButtons() {
+        // Only presets saved in this browser can be deleted or exported
+        const isSaved = Boolean(ScrubSVG.presets.findPreset(this.savedPresets, this.activePreset));
+        document.getElementById('presetDelete').disabled = !isSaved;
+        document.getElementById('presetExport').disabled = this.savedPresets.length === 0;
     }
 
-    updateReferences(svg) {
-        // Create a mapping of old IDs to new cleaned IDs
-        const idMapping = new Map();
-        const elementsWithId = svg.querySelectorAll('[id]');
-        
-        elementsWithId.forEach(element => {
-            const originalId = element.getAttribute('id');
-            const cleanId = originalId
-                .replace(/[^\x00-\x7F]/g, '') // Remove non-ASCII characters
-                .replace(/[^a-zA-Z0-9_-]/g, '_') // Replace special chars with underscore
-                .replace(/_{2,}/g, '_') // Replace multiple underscores with single
-                .replace(/^_+|_+$/g, ''); // Remove leading/trailing underscores
-            
-            if (cleanId && cleanId !== originalId) {
-                idMapping.set(originalId, cleanId);
-                element.setAttribute('id', cleanId);
-            } else if (!cleanId) {
-                element.removeAttribute('id');
-            }
-        });
-        
-        // Update all references to the changed IDs in attributes
-        if (idMapping.size > 0) {
-            const allElements = svg.querySelectorAll('*');
-            allElements.forEach(element => {
-                const attributes = Array.from(element.attributes);
-                
-                attributes.forEach(attr => {
-                    let value = attr.value;
-                    let updated = false;
-                    
-                    // Update URL references
-                    idMapping.forEach((newId, oldId) => {
-                        const oldRef = `url(#${oldId})`;
-                        const newRef = `url(#${newId})`;
-                        if (value.includes(oldRef)) {
-                            value = value.replace(new RegExp(oldRef.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), newRef);
-                            updated = true;
-                        }
-                        
-                        // Update href references
-                        const oldHref = `#${oldId}`;
-                        const newHref = `#${newId}`;
-                        if (value === oldHref) {
-                            value = newHref;
-                            updated = true;
-                        }
-                    });
-                    
-                    if (updated) {
-                        element.setAttribute(attr.name, value);
-                    }
-                });
-            });
-            
-            // Update references in style elements
-            const styleElements = svg.querySelectorAll('style');
-            styleElements.forEach(styleElement => {
-                let cssContent = styleElement.textContent;
-                let updated = false;
-                
-                idMapping.forEach((newId, oldId) => {
-                    const oldRef = `url(#${oldId})`;
-                    const newRef = `url(#${newId})`;
-                    
-                    // Escape special characters for regex
-                    const escapedOldRef = oldRef.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-                    const regex = new RegExp(escapedOldRef, 'g');
-                    
-                    if (cssContent.includes(oldRef)) {
-                        cssContent = cssContent.replace(regex, newRef);
-                        updated = true;
-                    }
-                });
-                
-                if (updated) {
-                    styleElement.textContent = cssContent;
-                }
-            });
+    storePresets() {
+        const storage = this.getStorage();
+        if (!storage) {
+            alert('Presets cannot be saved in this browser; export them to keep them.');
+            return;
+        }
+        try {
+            ScrubSVG.presets.savePresets(storage, this.savedPresets);
+        } catch (error) {
+            alert(`Presets could not be saved in this browser: ${error.message}`);
         }
     }
 
-    removeAttributesRecursively(element, attributes) {
-        // Remove specified attributes from element and all children
-        attributes.forEach(attr => {
-            element.removeAttribute(attr);
-        });
-        
-        Array.from(element.children).forEach(child => {
-            this.removeAttributesRecursively(child, attributes);
-        });
+    savePreset() {
+        // Saves the current panel under a name; an existing name is replaced
+        const name = (prompt('Preset name', this.activePreset || '') || '').trim();
+        if (!name) return;
+
+        const preset = { name, options: this.getOptions(), namePattern: this.getNamePattern() };
+        this.savedPresets = ScrubSVG.presets.mergePresets(this.savedPresets, [preset]);
+        this.storePresets();
+        this.activePreset = name;
+        this.renderPresetOptions();
     }
 
-    removeComments(svg) {
-        // Remove XML comments
-        const walker = document.createTreeWalker(
-            svg,
-            NodeFilter.SHOW_COMMENT,
-            null,
-            false
-        );
-        
-        const comments = [];
-        let node;
-        while (node = walker.nextNode()) {
-            comments.push(node);
+    deletePreset() {
+        const name = this.activePreset;
+        if (!name || !confirm(`Delete the preset "${name}"?`)) return;
+
+        this.savedPresets = this.savedPresets.filter(preset => preset.name !== name);
+        this.storePresets();
+        // A built-in preset of the same name shows up again
+        const builtin = ScrubSVG.presets.findPreset(this.getPresets(), name);
+        if (builtin) {
+            this.applyOptions(builtin.options, builtin.namePattern);
         }
-        
-        comments.forEach(comment => comment.remove());
+        this.activePreset = builtin ? name : null;
+        this.renderPresetOptions();
     }
 
-    formatSVG(svgString) {
-        // Clean up the SVG string formatting
-        let cleanedString = svgString
-            .replace(/^\s*<\?xml[^>]*\?>\s*/, '') // Remove existing XML declaration
-            .replace(/>\s+</g, '><') // Remove whitespace between tags
-            .replace(/\s+/g, ' ') // Normalize whitespace
-            .replace(/[\u200B-\u200D\uFEFF]/g, '') // Remove zero-width characters
-            .trim();
-        
-        // Ensure the SVG has proper namespace if missing
-        if (!cleanedString.includes('xmlns="http://www.w3.org/2000/svg"')) {
-            cleanedString = cleanedString.replace('<svg', '<svg xmlns="http://www.w3.org/2000/svg"');
+    exportPresets() {
+        const json = ScrubSVG.presets.exportPresets(this.savedPresets);
+        this.downloadBlob(new Blob([json], { type: 'application/json' }), 'scrub-svg-presets.json');
+    }
+
+    importPresets(text) {
+        let imported;
+        try {
+            imported = ScrubSVG.presets.importPresets(text);
+        } catch (error) {
+            alert(`Could not import presets: ${error.message}`);
+            return;
         }
-        
-        // Add proper XML declaration for standalone SVG files
-        cleanedString = '<?xml version="1.0" encoding="UTF-8"?>\n' + cleanedString;
-        
-        console.log('Formatted SVG output:', cleanedString);
-        return cleanedString;
+        if (imported.length === 0) return;
+
+        this.savedPresets = ScrubSVG.presets.mergePresets(this.savedPresets, imported);
+        this.storePresets();
+
+        // Select the first imported preset so its settings are visible
+        this.activePreset = imported[0].name;
+        this.applyOptions(imported[0].options, imported[0].namePattern);
+        this.renderPresetOptions();
+    }
+
+    humanizeParam(name) {
+        // removeTitle -> "remove title"
+        return name.replace(/([A-Z])/g, ' $1').toLowerCase();
+    }
+
+    getOptions() {
+        // Read the settings panel into the options object understood by cleanSVG()
+        const options = { plugins: {} };
+        const precision = this.getPrecision();
+        if (precision !== undefined) {
+            options.precision = precision;
+        }
+
+        const output = this.getOutputOptions();
+        if (output) {
+            options.output = output;
+        }
+
+        const rasters = this.getRasterOptions();
+        if (rasters) {
+            options.rasters = rasters;
+        }
+
+        const container = document.getElementById('pluginSettings');
+        if (!container) return options;
+
+        container.querySelectorAll('.plugin-setting').forEach(row => {
+            const plugin = this.plugins.find(p => p.name === row.dataset.plugin);
+            const enabled = row.querySelector('[data-role="enabled"]').checked;
+
+            if (!enabled) {
+                options.plugins[plugin.name] = false;
+                return;
+            }
+
+            const params = {};
+            row.querySelectorAll('[data-param]').forEach(input => {
+                const defaultValue = plugin.params[input.dataset.param];
+                if (typeof defaultValue === 'boolean') {
+                    params[input.dataset.param] = input.checked;
+                } else if (typeof defaultValue === 'number') {
+                    const number = parseFloat(input.value);
+                    params[input.dataset.param] = isNaN(number) ? defaultValue : number;
+                } else {
+                    params[input.dataset.param] = input.value;
+                }
+            });
+
+            options.plugins[plugin.name] = params;
+        });
+
+        return options;
+    }
+
+    cleanSVG(svgContent, options = {}) {
+        // The cleaning itself lives in core/ so the CLI produces identical output
+        return ScrubSVG.cleaner.cleanSVG(svgContent, options);
     }
 
     formatFileSize(bytes) {
         if (bytes === 0) return '0 B';
         const k = 1024;
         const sizes = ['B', 'KB', 'MB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        // Abs: a pass that adds markup saves a negative amount
+        const i = Math.floor(Math.log(Math.abs(bytes)) / Math.log(k));
         return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
     }
 
-    displayResult(fileName, originalContent, cleanedContent, originalSize, cleanedSize, savings, savingsPercent) {
+    displayResult(fileName, originalContent, cleanedContent, originalSize, cleanedSize, savings, savingsPercent, report, options = {}, compressed = null, embedOutputs, loadDetails) {
+        // embedOutputs come with the result from the worker, so the page
+        // does not parse the file again for them
         const fileResults = document.getElementById('fileResults');
         
         const resultDiv = document.createElement('div');
@@ -518,15 +935,8 @@ class SVGCleaner {
         
         // Create unique IDs for this file result
         const fileId = 'file_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-        
-        // Debug: Log the cleaned content
-        console.log('=== CLEANED SVG DEBUG ===');
-        console.log('Cleaned content length:', cleanedContent.length);
-        console.log('Cleaned content:', cleanedContent);
-        console.log('FileName:', fileName);
-        console.log('Escaped cleaned content:', this.escapeHtml(cleanedContent));
-        console.log('Escaped filename:', this.escapeHtml(fileName));
-        console.log('=========================');
+        this.codeViews.set(`${fileId}_original`, originalContent);
+        this.codeViews.set(`${fileId}_cleaned`, cleanedContent);
         
         resultDiv.innerHTML = `
             <div class="before-after">
@@ -567,7 +977,7 @@ class SVGCleaner {
             <div class="tab-content" id="${fileId}_original_code_tab">
             <div class="code-preview">
                 <h6>Original Code (${originalContent.length} chars)</h6>
-                <pre>${this.escapeHtml(originalContent)}</pre>
+                <pre></pre>
             </div>
             </div>
             </div>
@@ -593,6 +1003,21 @@ class SVGCleaner {
                 Download SVG
             </button>
             </div>
+            <div class="component-export">
+            <select class="component-format" aria-label="Component format">
+                ${Object.keys(ScrubSVG.components.FORMATS).map(format => `<option value="${format}">${ScrubSVG.components.FORMATS[format].label}</option>`).join('')}
+            </select>
+            <label><input type="checkbox" class="component-typescript"> TypeScript</label>
+            <label><input type="checkbox" class="component-props" checked> size/color props</label>
+            <button class="cta-btn component-btn" data-action="copy-component">Copy component</button>
+            <button class="cta-btn component-btn" data-action="download-component">Download</button>
+            </div>
+            <div class="component-export embed-export">
+            <select class="embed-format" aria-label="Embed format">
+                ${this.getEmbedFormats(embedOutputs).map(format => `<option value="${format.key}">${format.label}</option>`).join('')}
+            </select>
+            <button class="cta-btn component-btn" data-action="copy-embed">Copy snippet</button>
+            </div>
             <div class="tab-container">
             <button class="tab-button active" onclick="svgCleaner.switchTab('${fileId}_cleaned', 'preview')">
                 <svg width="16" height="16" viewBox="0 0 32 32" fill="currentColor" style="margin-right: 6px;">
@@ -616,11 +1041,21 @@ class SVGCleaner {
             <div class="tab-content" id="${fileId}_cleaned_code_tab">
             <div class="code-preview">
                 <h6>Cleaned Code (${cleanedContent.length} chars)</h6>
-                <pre>${this.escapeHtml(cleanedContent)}</pre>
+                <pre></pre>
             </div>
             </div>
             </div>
             </div>
+
+            <div class="visual-check" id="${fileId}_visual">
+            <span class="visual-badge pending">Checking rendering&hellip;</span>
+            </div>
+            ${this.renderWarnings(report)}
+            ${this.renderSanitizeReport(report)}
+            ${this.renderRasterReport(report)}
+            ${this.renderPalette(report && report.stats.palette, 'Palette')}
+            ${this.renderChangeLog()}
+            ${this.renderPassStats()}
             
             <div class="file-stats">
             <div class="stat">
@@ -652,39 +1087,423 @@ class SVGCleaner {
             ${this.formatFileSize(savings)} (${savingsPercent}%)
             </div>
             </div>
+            ${this.renderCompressedStats(compressed)}
+            ${this.renderPathDataStat(report)}
+            ${this.renderEmbedStats(embedOutputs)}
             </div>
         `;
         
         fileResults.appendChild(resultDiv);
         
-        // Store the content directly on the buttons after DOM creation (avoid template literal escaping issues)
-        const copyBtn = resultDiv.querySelector('.copy-btn');
-        const downloadBtn = resultDiv.querySelector('.download-btn-inline');
-        
-        if (copyBtn) {
-            copyBtn.dataset.content = this.escapeHtml(cleanedContent);
-            console.log('Copy button data-content set:', copyBtn.dataset.content);
-            console.log('Copy button data-content length:', copyBtn.dataset.content ? copyBtn.dataset.content.length : 'NULL');
-        }
-        
-        if (downloadBtn) {
-            downloadBtn.dataset.filename = this.escapeHtml(fileName);
-            downloadBtn.dataset.content = this.escapeHtml(cleanedContent);
-            console.log('Download button data-filename set:', downloadBtn.dataset.filename);
-            console.log('Download button data-content set:', downloadBtn.dataset.content);
-            console.log('Download button data-content length:', downloadBtn.dataset.content ? downloadBtn.dataset.content.length : 'NULL');
-        }
-        
+        this.setupComponentExport(resultDiv, fileName, cleanedContent);
+        this.setupEmbedExport(resultDiv, embedOutputs);
+        this.setupChangeLog(resultDiv, loadDetails);
+        this.setupPassStats(resultDiv, 'Savings by pass', async () => (await loadDetails()).passes);
+
         // Insert actual SVG previews
         this.insertSVGPreview(fileId + '_original_preview', originalContent);
         this.insertSVGPreview(fileId + '_cleaned_preview', cleanedContent);
+
+        // Compare the renderings once the previews are on screen
+        this.scheduleVisualCheck(fileId, fileName, originalContent, cleanedContent, options);
         
         // Setup event listeners for CTA buttons in this result (after DOM is ready)
         setTimeout(() => {
-            this.setupCTAListeners(resultDiv);
+            this.setupCTAListeners(resultDiv, fileName, cleanedContent);
         }, 0);
     }
 
+    setupComponentExport(container, fileName, cleanedContent) {
+        // React / Vue / Svelte versions of the cleaned file, built on demand
+        const section = container.querySelector('.component-export');
+        const build = () => {
+            const format = section.querySelector('.component-format').value;
+            const typescript = section.querySelector('.component-typescript').checked;
+            const withProps = section.querySelector('.component-props').checked;
+            const name = ScrubSVG.components.componentName(fileName);
+            return {
+                fileName: name + ScrubSVG.components.fileExtension(format, typescript),
+                content: ScrubSVG.components.toComponent(cleanedContent, format, {
+                    name,
+                    typescript,
+                    sizeProp: withProps,
+                    colorProp: withProps
+                })
+            };
+        };
+
+        section.querySelector('[data-action="copy-component"]').addEventListener('click', async (e) => {
+            const button = e.currentTarget;
+            await this.copyToClipboard(build().content);
+            button.textContent = 'Copied!';
+            setTimeout(() => {
+                button.textContent = 'Copy component';
+            }, 2000);
+        });
+        section.querySelector('[data-action="download-component"]').addEventListener('click', () => {
+            const component = build();
+            this.downloadBlob(new Blob([component.content], { type: 'text/plain' }), component.fileName);
+        });
+    }
+
+    getEmbedFormats(embedOutputs) {
+        // The mask snippet only exists for single-colour files
+        return [
+            { key: 'dataUri', label: 'Data URI' },
+            { key: 'base64', label: 'Base64 data URI' },
+            { key: 'background', label: 'CSS background-image' },
+            { key: 'mask', label: 'CSS mask-image' }
+        ].filter(format => embedOutputs[format.key] !== null);
+    }
+
+    setupEmbedExport(container, embedOutputs) {
+        const section = container.querySelector('.embed-export');
+        section.querySelector('[data-action="copy-embed"]').addEventListener('click', async (e) => {
+            const button = e.currentTarget;
+            await this.copyToClipboard(embedOutputs[section.querySelector('.embed-format').value]);
+            button.textContent = 'Copied!';
+            setTimeout(() => {
+                button.textContent = 'Copy snippet';
+            }, 2000);
+        });
+    }
+
+    renderEmbedStats(embedOutputs) {
+        // Byte size of each embeddable form, to compare against the file itself
+        return this.getEmbedFormats(embedOutputs).map(format => `
+            <div class="stat">
+            <div class="stat-label">
+            <svg width="16" height="16" viewBox="0 0 32 32" fill="currentColor" style="margin-right: 4px;">
+                <path d="M31 16L24 9v4H16v6h8v4zM1 16l7-7v4h8v6H8v4z"/>
+            </svg>
+            ${format.label}
+            </div>
+            <div class="stat-value">${this.formatFileSize(new Blob([embedOutputs[format.key]]).size)}</div>
+            </div>
+        `).join('');
+    }
+
+    scheduleVisualCheck(fileId, fileName, originalContent, cleanedContent, options) {
+        this.visualQueue = this.visualQueue.then(() => this.runVisualCheck(fileId, fileName, originalContent, cleanedContent, options));
+    }
+
+    async runVisualCheck(fileId, fileName, originalContent, cleanedContent, options) {
+        const container = document.getElementById(fileId + '_visual');
+        if (!container) return;
+
+        // Fitting the viewBox moves the artwork on purpose, so every pixel would differ
+        if (options.plugins && options.plugins.fitViewBox) {
+            container.innerHTML = '<span class="visual-badge unavailable">Not compared</span><span class="visual-summary">fitViewBox moves the artwork on purpose</span>';
+            return;
+        }
+
+        let result;
+        try {
+            result = await ScrubSVG.visualCheck.checkVisual(originalContent, cleanedContent);
+        } catch (error) {
+            container.innerHTML = `<span class="visual-badge unavailable">Visual check unavailable: ${this.escapeHtml(error.message)}</span>`;
+            return;
+        }
+
+        const sizes = result.results.map(item => item.size + 'px').join(', ');
+        if (result.pass) {
+            container.innerHTML = `<span class="visual-badge pass">Pass</span><span class="visual-summary">Renders the same at ${sizes}</span>`;
+            return;
+        }
+
+        const worst = result.results.reduce((a, b) => (b.ratio > a.ratio ? b : a));
+        container.innerHTML = `
+            <span class="visual-badge warn">Warn</span>
+            <span class="visual-summary">Rendering differs: ${(worst.ratio * 100).toFixed(1)}% of pixels changed at ${worst.size}px</span>
+            <button class="visual-bisect" type="button">Find the pass</button>
+            <div class="visual-overlay" title="Changed pixels in red"></div>
+        `;
+        container.querySelector('.visual-overlay').appendChild(ScrubSVG.visualCheck.renderOverlay(result.overlay));
+
+        const button = container.querySelector('.visual-bisect');
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            button.textContent = 'Bisecting\u2026';
+            const message = document.createElement('span');
+            message.className = 'visual-summary';
+
+            try {
+                const culprit = await ScrubSVG.visualCheck.bisectPasses(originalContent, Object.assign({}, options, { fileName }));
+                message.innerHTML = culprit.name
+                    ? `First differs after <code>${this.escapeHtml(culprit.name)}</code>`
+                    : 'Differs before any pass runs (parsing and serialization)';
+            } catch (error) {
+                message.textContent = 'Bisect failed: ' + error.message;
+            }
+
+            button.replaceWith(message);
+        });
+    }
+
+    renderWarnings(report) {
+        if (!report || report.warnings.length === 0) return '';
+
+        return `
+            <ul class="result-warnings">
+            ${report.warnings.map(warning => `<li>${this.escapeHtml(warning)}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    renderSanitizeReport(report) {
+        // Every element, attribute or URL the sanitize pass took out
+        const removed = report && report.stats.sanitized;
+        if (!removed) return '';
+
+        if (removed.length === 0) {
+            return '<div class="sanitize-report clean">Sanitized: no active content or external resources found</div>';
+        }
+
+        return `
+            <details class="sanitize-report">
+            <summary>Sanitized: ${removed.length} removal${removed.length === 1 ? '' : 's'}</summary>
+            <ul>${removed.map(item => `<li><code>${this.escapeHtml(item)}</code></li>`).join('')}</ul>
+            </details>
+        `;
+    }
+
+    renderRasterReport(report) {
+        // Each embedded raster image with its format, pixel size and byte
+        // cost, and what re-encoding did with it
+        const rasters = report && report.stats.rasters;
+        if (!rasters || rasters.images.length === 0) return '';
+
+        // `optimized` lists the same images in the same order
+        const outcomes = rasters.optimized || [];
+        const size = image => (image.width && image.height ? `${image.width}&times;${image.height} px` : 'unknown size');
+        const items = rasters.images.map((image, index) => {
+            const drawn = image.renderedWidth ? `, drawn at about ${image.renderedWidth}&times;${image.renderedHeight}` : '';
+            const outcome = outcomes[index];
+            let result = '';
+            if (outcome && outcome.after) {
+                result = ` &rarr; ${this.escapeHtml(outcome.after.format)} ${size(outcome.after)}, ${this.formatFileSize(outcome.after.bytes)}`;
+            }
+            if (outcome && outcome.note) {
+                result += ` <span class="raster-note">(${this.escapeHtml(outcome.note)})</span>`;
+            }
+            return `<li>${this.escapeHtml(image.format)} ${size(image)}, ${this.formatFileSize(image.bytes)}${drawn}${result}</li>`;
+        });
+
+        const percent = Math.round(rasters.share * 100);
+        return `
+            <details class="raster-report${rasters.notVector ? ' not-vector' : ''}">
+            <summary>Embedded images: ${rasters.images.length} (${percent}% of the file)${rasters.notVector ? ' <span class="raster-badge">Not really a vector</span>' : ''}</summary>
+            <ul>${items.join('')}</ul>
+            </details>
+        `;
+    }
+
+    renderPalette(palette, title) {
+        // Swatches of the distinct colours, most used first; batch palettes
+        // also say how many files use each one, so a stray off-brand colour
+        // stands out
+        if (!palette || palette.length === 0) return '';
+
+        const items = palette.map(entry => {
+            const color = this.escapeHtml(entry.color);
+            const uses = `${entry.count} use${entry.count === 1 ? '' : 's'}`;
+            const files = entry.files ? `, ${entry.files} file${entry.files === 1 ? '' : 's'}` : '';
+            return `<li title="${color}"><span class="palette-swatch" style="background: ${color}"></span><code>${color}</code> <span class="palette-count">${uses}${files}</span></li>`;
+        });
+        return `
+            <details class="palette-report">
+            <summary>${this.escapeHtml(title)}: ${palette.length} colour${palette.length === 1 ? '' : 's'}</summary>
+            <ul>${items.join('')}</ul>
+            </details>
+        `;
+    }
+
+    renderChangeLog() {
+        // Filled in when opened: the changes are only tracked on request,
+        // and the tree of a large file is slow to build
+        return `
+            <details class="change-log">
+            <summary>Changes</summary>
+            <div class="change-log-body"></div>
+            </details>
+        `;
+    }
+
+    setupChangeLog(container, loadDetails) {
+        const details = container.querySelector('details.change-log');
+        if (!details) return;
+
+        this.fillOnOpen(details, '.change-log-body', async () => {
+            const { changes, diff } = await loadDetails();
+            const passes = new Set(changes.map(change => change.pass));
+            details.querySelector('summary').textContent = changes.length === 0
+                ? 'Changes: none'
+                : `Changes: ${changes.length} by ${passes.size} pass${passes.size === 1 ? '' : 'es'}`;
+            return changes.length === 0
+                ? '<p class="details-note">No structural changes</p>'
+                : this.renderDiffTree(diff) + this.renderChangesByPass(changes);
+        });
+    }
+
+    fillOnOpen(details, bodySelector, render) {
+        // Fills the body of a <details> the first time it is opened with the
+        // markup render() resolves with, or the error it fails with
+        const body = details.querySelector(bodySelector);
+        let started = false;
+        details.addEventListener('toggle', async () => {
+            if (!details.open || started) return;
+            started = true;
+            body.innerHTML = '<p class="details-note">Cleaning again to track each pass&hellip;</p>';
+            try {
+                body.innerHTML = await render();
+            } catch (error) {
+                if (error.cancelled) return;
+                body.innerHTML = `<p class="details-note">${this.escapeHtml(error.message)}</p>`;
+            }
+        });
+    }
+
+    renderDiffTree(lines) {
+        // The original structure with what each pass did to it: removed
+        // elements struck out, added ones highlighted, changed attributes
+        // shown old -> new, each tagged with its pass
+        const MAX_LINES = 2000;
+        const MAX_VALUE = 80;
+        const value = text => {
+            const shown = text.length > MAX_VALUE ? text.slice(0, MAX_VALUE - 1) + '\u2026' : text;
+            return `<span title="${this.escapeAttribute(text)}">"${this.escapeHtml(shown)}"</span>`;
+        };
+        const tag = pass => (pass ? `<span class="diff-pass">${this.escapeHtml(pass)}</span>` : '');
+
+        const rendered = lines.slice(0, MAX_LINES).map(line => {
+            const attributes = line.attributes.map(attr => {
+                const current = attr.status === 'changed'
+                    ? `<del>${value(attr.before)}</del> <ins>${value(attr.value)}</ins>`
+                    : value(attr.value);
+                return ` <span class="diff-attr diff-${attr.status}">${this.escapeHtml(attr.name)}=${current}${tag(attr.pass)}</span>`;
+            }).join('');
+
+            let text = '';
+            if (line.text) {
+                text = line.text.before !== null
+                    ? ` <span class="diff-attr diff-changed"><del>${value(line.text.before)}</del> <ins>${value(line.text.value)}</ins>${tag(line.text.pass)}</span>`
+                    : ` ${value(line.text.value)}`;
+            }
+            const hidden = line.hidden > 0 ? ` <span class="diff-hidden">+${line.hidden} inside</span>` : '';
+
+            return `<div class="diff-line diff-${line.status}" style="padding-left: ${line.depth * 16 + 4}px">` +
+                `&lt;${this.escapeHtml(line.tagName)}${attributes}&gt;${text}${hidden}` +
+                `${line.pass ? ` <span class="diff-status">${line.status}</span>` : ''}${tag(line.pass)}</div>`;
+        });
+
+        if (lines.length > MAX_LINES) {
+            rendered.push(`<div class="diff-line diff-hidden">&hellip; ${lines.length - MAX_LINES} more elements</div>`);
+        }
+        return `<div class="diff-tree">${rendered.join('')}</div>`;
+    }
+
+    renderChangesByPass(changes) {
+        const byPass = new Map();
+        changes.forEach(change => {
+            if (!byPass.has(change.pass)) byPass.set(change.pass, []);
+            byPass.get(change.pass).push(change);
+        });
+
+        return Array.from(byPass, ([pass, list]) => `
+            <details class="change-pass">
+            <summary>${this.escapeHtml(pass)} (${list.length})</summary>
+            <ul>${list.map(change => `<li>${this.escapeHtml(change.message)}</li>`).join('')}</ul>
+            </details>
+        `).join('');
+    }
+
+    formatCompressedSizes(compressed, format) {
+        // "2.1 KB → 1.3 KB (38.1%)", or n/a where the browser cannot compress to `format`
+        const original = compressed.original[format];
+        const cleaned = compressed.cleaned[format];
+        if (original === null || cleaned === null) return 'n/a';
+
+        const percent = original > 0 ? (((original - cleaned) / original) * 100).toFixed(1) : '0.0';
+        return `${this.formatFileSize(original)} &rarr; ${this.formatFileSize(cleaned)} <span class="savings">(${percent}%)</span>`;
+    }
+
+    renderCompressedStats(compressed) {
+        // Savings usually shrink once served compressed; these are the sizes that get transferred
+        if (!compressed) return '';
+
+        return [['gzip', 'Gzip'], ['brotli', 'Brotli']].map(([format, label]) => `
+            <div class="stat">
+            <div class="stat-label">
+            <svg width="16" height="16" viewBox="0 0 32 32" fill="currentColor" style="margin-right: 4px;">
+                <path d="M28 10V8h-6V4H10v4H4v2h2v18a2 2 0 0 0 2 2h16a2 2 0 0 0 2-2V10zM12 6h8v2h-8zm12 22H8V10h16z"/>
+            </svg>
+            ${label}
+            </div>
+            <div class="stat-value">${this.formatCompressedSizes(compressed, format)}</div>
+            </div>
+        `).join('');
+    }
+
+    renderPassStats() {
+        // Filled in by setupPassStats() when opened
+        return `
+            <details class="pass-stats">
+            <summary></summary>
+            <div class="pass-stats-body"></div>
+            </details>
+        `;
+    }
+
+    setupPassStats(container, title, loadPasses) {
+        // Bytes, elements and attributes each pass took out; passes that
+        // changed nothing are left out
+        const details = container.querySelector('details.pass-stats');
+        if (!details) return;
+        const summary = details.querySelector('summary');
+        summary.textContent = title;
+
+        this.fillOnOpen(details, '.pass-stats-body', async () => {
+            const passes = await loadPasses();
+            const rows = passes.filter(pass => pass.bytesSaved !== 0 || pass.elementsRemoved !== 0 || pass.attributesRemoved !== 0);
+            const total = rows.reduce((sum, pass) => sum + pass.bytesSaved, 0);
+            summary.textContent = `${title}: ${this.formatFileSize(total)}`;
+            if (rows.length === 0) return '<p class="details-note">No pass changed the file</p>';
+            return `
+                <table>
+                <thead><tr><th>Pass</th><th>Bytes saved</th><th>Elements removed</th><th>Attributes removed</th></tr></thead>
+                <tbody>
+                ${rows.map(pass => `<tr><td>${pass.name === ScrubSVG.stats.OUTPUT_STEP ? 'output formatting' : this.escapeHtml(pass.name)}</td>` +
+                    `<td>${this.formatFileSize(pass.bytesSaved)}</td><td>${pass.elementsRemoved}</td><td>${pass.attributesRemoved}</td></tr>`).join('')}
+                </tbody>
+                </table>
+            `;
+        });
+    }
+
+    renderPathDataStat(report) {
+        // How much the path data (usually most of an icon's bytes) shrank
+        const pathData = report && report.stats.pathData;
+        if (!pathData || pathData.count === 0) return '';
+
+        const saved = pathData.originalBytes - pathData.cleanedBytes;
+        const percent = pathData.originalBytes > 0 ? ((saved / pathData.originalBytes) * 100).toFixed(1) : '0.0';
+
+        return `
+            <div class="stat">
+            <div class="stat-label">
+            <svg width="16" height="16" viewBox="0 0 32 32" fill="currentColor" style="margin-right: 4px;">
+                <path d="M29 20.1V11.9A3 3 0 1 0 26.1 9H5.9A3 3 0 1 0 3 11.9v8.2A3 3 0 1 0 5.9 23h20.2A3 3 0 1 0 29 20.1zM26 21H6v-1.5L7.5 18H6v-4h1.5L6 12.5V11h20v1.5L24.5 14H26v4h-1.5L26 19.5z"/>
+            </svg>
+            Path Data (${pathData.count})
+            </div>
+            <div class="stat-value">
+            ${this.formatFileSize(pathData.originalBytes)} &rarr; ${this.formatFileSize(pathData.cleanedBytes)}
+            <span class="savings">(${percent}%)</span>
+            </div>
+            </div>
+        `;
+    }
+
     displayError(fileName, errorMessage) {
         const fileResults = document.getElementById('fileResults');
         
@@ -694,9 +1513,9 @@ class SVGCleaner {
         errorDiv.style.backgroundColor = '#f8d7da';
         
         errorDiv.innerHTML = `
-            <h4>[ERROR] ${fileName}</h4>
+            <h4>[ERROR] ${this.escapeHtml(fileName)}</h4>
             <p style="color: #721c24; margin: 10px 0;">
-                Error: ${errorMessage}
+                Error: ${this.escapeHtml(errorMessage)}
             </p>
         `;
         
@@ -727,18 +1546,10 @@ class SVGCleaner {
                 return;
             }
             
-            // Clone the SVG and ensure it has proper sizing for preview
+            // Clone the SVG and let it fill the preview frame
             const svgClone = svg.cloneNode(true);
-            
-            // Remove any width/height and set proper styles for preview
             svgClone.removeAttribute('width');
             svgClone.removeAttribute('height');
-            svgClone.style.width = 'auto';
-            svgClone.style.height = 'auto';
-            svgClone.style.maxWidth = '100%';
-            svgClone.style.maxHeight = '100%';
-            svgClone.style.display = 'block';
-            svgClone.style.margin = '0 auto';
             
             // Ensure the SVG has a viewBox for proper scaling
             if (!svgClone.getAttribute('viewBox')) {
@@ -754,13 +1565,16 @@ class SVGCleaner {
                 }
             }
             
+            // Render inside a sandboxed frame: no scripts run, and the CSP blocks
+            // every network request, so an untrusted file cannot touch this page
+            const frame = document.createElement('iframe');
+            frame.className = 'svg-preview-frame';
+            frame.setAttribute('sandbox', '');
+            frame.setAttribute('title', 'SVG preview');
+            frame.srcdoc = this.buildPreviewDocument(new XMLSerializer().serializeToString(svgClone));
+
             previewElement.innerHTML = '';
-            previewElement.appendChild(svgClone);
-            
-            // Debug: Log SVG element properties
-            console.log('SVG Preview Element:', previewElement);
-            console.log('SVG Clone:', svgClone);
-            console.log('SVG ViewBox:', svgClone.getAttribute('viewBox'));
+            previewElement.appendChild(frame);
             
         } catch (error) {
             console.error('Error creating SVG preview:', error);
@@ -768,32 +1582,30 @@ class SVGCleaner {
         }
     }
 
+    buildPreviewDocument(svgMarkup) {
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; img-src data:; font-src data:">
+<style>html, body { margin: 0; height: 100%; overflow: hidden; background: transparent; } svg { display: block; width: 100%; height: 100%; }</style>
+</head>
+<body>${svgMarkup}</body>
+</html>`;
+    }
+
     downloadFile(fileName, content) {
         const blob = new Blob([content], { type: 'image/svg+xml' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = fileName.replace('.svg', '_cleaned.svg');
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        
-        URL.revokeObjectURL(url);
+        this.downloadBlob(blob, ScrubSVG.batch.outputPath(fileName, this.getNamePattern()).split('/').pop());
     }
 
     async copyToClipboard(content) {
         try {
-            console.log('Attempting to copy content length:', content.length);
-            console.log('Content preview:', content.substring(0, 100) + '...');
-            
             // Check if clipboard API is available
             if (!navigator.clipboard) {
                 throw new Error('Clipboard API not available');
             }
             
             await navigator.clipboard.writeText(content);
-            console.log('Successfully copied to clipboard');
             
             // Show temporary feedback
             const copyBtns = document.querySelectorAll('.copy-btn');
@@ -813,7 +1625,6 @@ class SVGCleaner {
             alert('Copy failed: ' + err.message + '. Please copy manually from the code view.');
             
             // Fallback for older browsers
-            console.log('Using fallback copy method');
             try {
                 const textArea = document.createElement('textarea');
                 textArea.value = content;
@@ -826,7 +1637,6 @@ class SVGCleaner {
                 document.body.removeChild(textArea);
                 
                 if (success) {
-                    console.log('Fallback copy successful');
                     // Show temporary feedback for fallback too
                     const copyBtns = document.querySelectorAll('.copy-btn');
                     copyBtns.forEach(btn => {
@@ -857,10 +1667,9 @@ class SVGCleaner {
         return div.innerHTML;
     }
 
-    unescapeHtml(text) {
-        const div = document.createElement('div');
-        div.innerHTML = text;
-        return div.textContent || div.innerText || '';
+    escapeAttribute(text) {
+        // escapeHtml() leaves quotes alone, which is only safe in text content
+        return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
     }
 
     switchTab(panelId, tabType) {
@@ -884,63 +1693,58 @@ class SVGCleaner {
             previewTabButton.classList.remove('active');
             codeTabContent.classList.add('active');
             previewTabContent.classList.remove('active');
+            this.renderCodeView(panelId);
         }
     }
 
-    setupCTAListeners(container) {
-        // Add event listeners for Copy and Download buttons within this container
-        // Look for buttons in both visible and hidden tab content
-        const copyBtns = container.querySelectorAll('.copy-btn');
-        const downloadBtns = container.querySelectorAll('.download-btn-inline');
-        
-        console.log('Setting up CTA listeners, found copy buttons:', copyBtns.length);
-        console.log('Setting up CTA listeners, found download buttons:', downloadBtns.length);
-        
-        copyBtns.forEach(copyBtn => {
-            if (copyBtn) {
-                copyBtn.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    e.stopPropagation();
-                    console.log('Copy button clicked!');
-                    const button = e.target.closest('.copy-btn');
-                    const escapedContent = button.dataset.content;
-                    console.log('Escaped content from dataset:', escapedContent ? escapedContent.substring(0, 100) + '...' : 'NULL');
-                    // Unescape the HTML-escaped content
-                    const content = this.unescapeHtml(escapedContent);
-                    console.log('Unescaped content:', content ? content.substring(0, 100) + '...' : 'NULL');
-                    console.log('Content length:', content ? content.length : 'NULL');
-                    if (content) {
-                        this.copyToClipboard(content);
-                    } else {
-                        console.error('No content to copy!');
-                        alert('No content to copy. Please try again.');
-                    }
-                });
+    renderCodeView(panelId) {
+        // Code views are filled when first opened, a chunk at a time:
+        // escaping a multi-megabyte file into the page at once freezes it
+        const CHUNK_SIZE = 64 * 1024;
+        const content = this.codeViews.get(panelId);
+        const codeTab = document.getElementById(`${panelId}_code_tab`);
+        if (content === undefined || !codeTab || codeTab.querySelector('pre').dataset.shown) return;
+
+        const pre = codeTab.querySelector('pre');
+        const more = document.createElement('button');
+        more.type = 'button';
+        more.className = 'cta-btn code-more-btn';
+        pre.after(more);
+
+        const showMore = () => {
+            const shown = Number(pre.dataset.shown || 0);
+            let end = Math.min(content.length, shown + CHUNK_SIZE);
+            if (end < content.length) {
+                // End on a line break near the end of the chunk, and never
+                // inside a surrogate pair
+                const lineEnd = content.lastIndexOf('\n', end);
+                if (lineEnd > shown + CHUNK_SIZE / 2) end = lineEnd + 1;
+                if (/[\uD800-\uDBFF]/.test(content[end - 1])) end--;
             }
+            pre.appendChild(document.createTextNode(content.slice(shown, end)));
+            pre.dataset.shown = end;
+            more.hidden = end >= content.length;
+            more.textContent = `Show more (${(content.length - end).toLocaleString()} chars left)`;
+        };
+        more.addEventListener('click', showMore);
+        showMore();
+    }
+
+    setupCTAListeners(container, fileName, content) {
+        // Copy and Download buttons of one result
+        const copyBtn = container.querySelector('[data-action="copy"]');
+        const downloadBtn = container.querySelector('[data-action="download"]');
+
+        copyBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.copyToClipboard(content);
         });
-        
-        downloadBtns.forEach(downloadBtn => {
-            if (downloadBtn) {
-                downloadBtn.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    e.stopPropagation();
-                    console.log('Download button clicked!');
-                    const button = e.target.closest('.download-btn-inline');
-                    const filename = button.dataset.filename;
-                    const escapedContent = button.dataset.content;
-                    console.log('Download filename:', filename);
-                    console.log('Download escaped content:', escapedContent ? escapedContent.substring(0, 100) + '...' : 'NULL');
-                    // Unescape the HTML-escaped content
-                    const content = this.unescapeHtml(escapedContent);
-                    console.log('Download unescaped content:', content ? content.substring(0, 100) + '...' : 'NULL');
-                    if (content && filename) {
-                        this.downloadFile(filename, content);
-                    } else {
-                        console.error('Missing content or filename for download!');
-                        alert('Download failed. Missing content or filename.');
-                    }
-                });
-            }
+
+        downloadBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.downloadFile(fileName, content);
         });
     }
 }
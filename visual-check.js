@@ -0,0 +1,212 @@
+/**
+ * Visual regression check for the web app.
+ *
+ * Renders the original and cleaned SVG to canvas at a few sizes and compares
+ * the pixels, so a pass that changes the picture is caught before download.
+ * Needs <canvas> and Image, so unlike core/ it only runs in the browser.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./core/xml'), require('./core/cleaner'));
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.visualCheck = factory(root.ScrubSVG.xml, root.ScrubSVG.cleaner);
+    }
+}(typeof self !== 'undefined' ? self : this, function (xml, cleaner) {
+    'use strict';
+
+    // Largest rendered dimension for each comparison
+    const SIZES = [16, 64, 256];
+
+    // A pixel counts as changed when a premultiplied channel moves by more
+    // than this (out of 255); smaller changes are anti-aliasing noise
+    const PIXEL_TOLERANCE = 64;
+
+    // Share of changed pixels allowed at any size before the check warns
+    const MAX_CHANGED_RATIO = 0.002;
+
+    // Give up on images that never finish loading
+    const RENDER_TIMEOUT = 10000;
+
+    function getViewBox(svg) {
+        // The box both versions are drawn into, taken from the original so a
+        // removed width/height cannot change the scale
+        const viewBox = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(parseFloat);
+        if (viewBox.length === 4 && viewBox.every(value => !isNaN(value)) && viewBox[2] > 0 && viewBox[3] > 0) {
+            return viewBox;
+        }
+
+        const width = parseFloat(svg.getAttribute('width'));
+        const height = parseFloat(svg.getAttribute('height'));
+        return width > 0 && height > 0 ? [0, 0, width, height] : [0, 0, 300, 150];
+    }
+
+    function prepareForRaster(svg, viewBox, width, height) {
+        // Give the parsed root an explicit pixel size; an <img> without one
+        // has no reliable intrinsic size
+        if (!svg.hasAttribute('viewBox')) {
+            svg.setAttribute('viewBox', viewBox.join(' '));
+        }
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        return xml.serializeXML(svg);
+    }
+
+    function loadImage(svgContent) {
+        // The image is vector, so it can be drawn sharp at every size
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(new Blob([svgContent], { type: 'image/svg+xml' }));
+            const image = new Image();
+            const timer = setTimeout(() => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Rendering timed out'));
+            }, RENDER_TIMEOUT);
+
+            image.onload = () => {
+                clearTimeout(timer);
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                clearTimeout(timer);
+                URL.revokeObjectURL(url);
+                reject(new Error('The browser could not render this SVG'));
+            };
+
+            image.src = url;
+        });
+    }
+
+    function rasterize(image, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0, width, height);
+        return context.getImageData(0, 0, width, height);
+    }
+
+    function comparePixels(a, b, tolerance = PIXEL_TOLERANCE) {
+        // Compare premultiplied colours, so fully transparent pixels match
+        // whatever colour they carry
+        const total = a.width * a.height;
+        const mask = new Uint8Array(total);
+        let changed = 0;
+
+        for (let i = 0; i < total; i++) {
+            const offset = i * 4;
+            const alphaA = a.data[offset + 3];
+            const alphaB = b.data[offset + 3];
+            let delta = Math.abs(alphaA - alphaB);
+
+            for (let channel = 0; channel < 3; channel++) {
+                const valueA = a.data[offset + channel] * alphaA / 255;
+                const valueB = b.data[offset + channel] * alphaB / 255;
+                delta = Math.max(delta, Math.abs(valueA - valueB));
+            }
+
+            if (delta > tolerance) {
+                mask[i] = 1;
+                changed++;
+            }
+        }
+
+        return { changed, total, ratio: total > 0 ? changed / total : 0, mask };
+    }
+
+    async function checkVisual(originalContent, cleanedContent, sizes = SIZES) {
+        // Returns { pass, results: [{ size, changed, ratio }], overlay } where
+        // overlay holds the largest rendering and its difference mask.
+        // Each version is parsed and loaded once, then drawn at every size:
+        // parsing a large file is what blocks the page.
+        const original = cleaner.parseSVG(originalContent);
+        const viewBox = getViewBox(original);
+        const scale = Math.max(viewBox[2], viewBox[3]);
+        const dimensions = size => [
+            Math.max(1, Math.round(size * viewBox[2] / scale)),
+            Math.max(1, Math.round(size * viewBox[3] / scale))
+        ];
+        const [largestWidth, largestHeight] = dimensions(Math.max(...sizes));
+        const [beforeImage, afterImage] = await Promise.all([
+            loadImage(prepareForRaster(original, viewBox, largestWidth, largestHeight)),
+            loadImage(prepareForRaster(cleaner.parseSVG(cleanedContent), viewBox, largestWidth, largestHeight))
+        ]);
+        const results = [];
+        let overlay = null;
+
+        for (const size of sizes) {
+            const [width, height] = dimensions(size);
+            const after = rasterize(afterImage, width, height);
+            const diff = comparePixels(rasterize(beforeImage, width, height), after);
+
+            results.push({ size, changed: diff.changed, ratio: diff.ratio });
+            overlay = { image: after, mask: diff.mask, width, height };
+        }
+
+        return {
+            pass: results.every(result => result.ratio <= MAX_CHANGED_RATIO),
+            results,
+            overlay
+        };
+    }
+
+    async function bisectPasses(originalContent, options = {}, sizes = SIZES) {
+        // Binary search for the first pass after which the output renders
+        // differently. Returns { index, name }, or { index: -1 } when parsing
+        // and serializing alone already change the picture.
+        const passes = cleaner.resolvePlugins(options).map(plugin => plugin.name);
+        const differs = async count => {
+            const cleaned = cleaner.cleanSVG(originalContent, Object.assign({}, options, { pluginLimit: count }));
+            return !(await checkVisual(originalContent, cleaned, sizes)).pass;
+        };
+
+        if (await differs(0)) {
+            return { index: -1, name: null };
+        }
+
+        // Invariant: the first `low` passes render the same, the first `high` do not
+        let low = 0;
+        let high = passes.length;
+        while (high - low > 1) {
+            const middle = Math.floor((low + high) / 2);
+            if (await differs(middle)) {
+                high = middle;
+            } else {
+                low = middle;
+            }
+        }
+
+        return { index: high - 1, name: passes[high - 1] };
+    }
+
+    function renderOverlay(overlay) {
+        // The cleaned rendering, faded, with changed pixels in red
+        const canvas = document.createElement('canvas');
+        canvas.width = overlay.width;
+        canvas.height = overlay.height;
+        const context = canvas.getContext('2d');
+        const output = context.createImageData(overlay.width, overlay.height);
+
+        for (let i = 0; i < overlay.mask.length; i++) {
+            const offset = i * 4;
+            if (overlay.mask[i]) {
+                output.data.set([239, 68, 68, 255], offset);
+            } else {
+                const data = overlay.image.data;
+                const grey = (data[offset] + data[offset + 1] + data[offset + 2]) / 3;
+                output.data.set([grey, grey, grey, data[offset + 3] * 0.3], offset);
+            }
+        }
+
+        context.putImageData(output, 0, 0);
+        return canvas;
+    }
+
+    return {
+        SIZES,
+        comparePixels,
+        checkVisual,
+        bisectPasses,
+        renderOverlay
+    };
+}));
@@ -0,0 +1,170 @@
+/**
+ * Cleans files in Web Workers so large batches do not freeze the page.
+ *
+ * Each worker (clean-worker.js) loads the core and cleans one file at a time;
+ * files go to whichever worker is free. Where workers cannot start (Chrome
+ * blocks them on pages opened from file://) the files are cleaned on the page
+ * instead, one at a time with a pause in between so progress still renders.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./core/cleaner'), require('./core/compress'), require('./core/embed'));
+    } else {
+        root.ScrubSVG = root.ScrubSVG || {};
+        root.ScrubSVG.workerPool = factory(root.ScrubSVG.cleaner, root.ScrubSVG.compress, root.ScrubSVG.embed);
+    }
+}(typeof self !== 'undefined' ? self : this, function (cleaner, compress, embed) {
+    'use strict';
+
+    const WORKER_URL = 'clean-worker.js?v=1.0';
+
+    // Beyond this, extra workers mostly compete for memory
+    const MAX_WORKERS = 4;
+
+    async function cleanFile(content, options) {
+        // Everything the page shows for one file: the cleaned markup, the
+        // report, the compressed sizes before and after and the embed
+        // snippets, which take another parse of the cleaned file
+        const { content: cleaned, report } = cleaner.cleanSVGWithReport(content, options);
+        const [originalSizes, cleanedSizes] = await Promise.all([
+            compress.compressedSizes(content),
+            compress.compressedSizes(cleaned)
+        ]);
+        return {
+            content: cleaned,
+            report,
+            compressed: { original: originalSizes, cleaned: cleanedSizes },
+            embed: embed.embedOutputs(cleaned)
+        };
+    }
+
+    function cancelledError() {
+        const error = new Error('Cancelled');
+        error.cancelled = true;
+        return error;
+    }
+
+    function createPool(size) {
+        // run(content, options) resolves with cleanFile()'s result. terminate()
+        // stops the workers and rejects every unfinished run with an error
+        // whose `cancelled` is true.
+        const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency;
+        const limit = Math.max(1, size || Math.min(MAX_WORKERS, cores || 2));
+        const queue = [];
+        const workers = [];
+        let inPage = typeof Worker !== 'function';
+        // Set once a worker fails to load: the others will not load either
+        let workersFailed = false;
+        let pageTask = null;
+        let terminated = false;
+
+        function startWorker() {
+            let worker;
+            try {
+                worker = new Worker(WORKER_URL);
+            } catch (error) {
+                workersFailed = true;
+                return null;
+            }
+
+            // `started` is set by the worker's { ready } message once the core
+            // has loaded, so a crash on the first file is not taken for a
+            // worker that cannot load
+            const slot = { worker, task: null, started: false };
+            worker.onmessage = event => {
+                if (event.data.ready) {
+                    slot.started = true;
+                    return;
+                }
+                const task = slot.task;
+                slot.task = null;
+                if (event.data.error) {
+                    task.reject(new Error(event.data.error));
+                } else {
+                    task.resolve(event.data.result);
+                }
+                next();
+            };
+            worker.onerror = event => {
+                event.preventDefault();
+                const task = slot.task;
+                slot.task = null;
+                worker.terminate();
+                workers.splice(workers.indexOf(slot), 1);
+
+                if (!slot.started) {
+                    // The worker never loaded: give the file back, and clean
+                    // on the page once no worker is left
+                    workersFailed = true;
+                    if (task) queue.unshift(task);
+                } else if (task) {
+                    // It crashed on this file (usually out of memory)
+                    task.reject(new Error(event.message || 'The worker stopped unexpectedly'));
+                }
+                next();
+            };
+            workers.push(slot);
+            return slot;
+        }
+
+        function runInPage() {
+            pageTask = queue.shift();
+            const task = pageTask;
+            setTimeout(async () => {
+                try {
+                    task.resolve(await cleanFile(task.content, task.options));
+                } catch (error) {
+                    task.reject(error);
+                }
+                pageTask = null;
+                next();
+            }, 0);
+        }
+
+        function next() {
+            while (!terminated && queue.length > 0) {
+                if (inPage) {
+                    if (!pageTask) runInPage();
+                    return;
+                }
+
+                let slot = workers.find(candidate => !candidate.task);
+                if (!slot && !workersFailed && workers.length < limit) {
+                    slot = startWorker();
+                }
+                if (!slot && workers.length === 0) {
+                    inPage = true;
+                    continue;
+                }
+                if (!slot) return;
+
+                slot.task = queue.shift();
+                slot.worker.postMessage({ content: slot.task.content, options: slot.task.options });
+            }
+        }
+
+        function run(content, options) {
+            if (terminated) return Promise.reject(cancelledError());
+            return new Promise((resolve, reject) => {
+                queue.push({ content, options, resolve, reject });
+                next();
+            });
+        }
+
+        function terminate() {
+            terminated = true;
+            const unfinished = queue.splice(0)
+                .concat(workers.map(slot => slot.task).filter(Boolean))
+                .concat(pageTask ? [pageTask] : []);
+            workers.splice(0).forEach(slot => slot.worker.terminate());
+            unfinished.forEach(task => task.reject(cancelledError()));
+        }
+
+        return { size: limit, run, terminate };
+    }
+
+    return {
+        cleanFile,
+        createPool
+    };
+}));